@@ -11,12 +11,116 @@ globalThis.qpyodideCreateCell = function(cellData) {
             return new OutputCell(cellData);
         case 'setup':
             return new SetupCell(cellData);
+        case 'exercise':
+            return new ExerciseCell(cellData);
         default:
             return new InteractiveCell(cellData);
             // throw new Error('Invalid cell type specified in options.');
     }
 }  
 
+/**
+ * Factory function to create an empty cell container.
+ * @returns {CellContainer} Container used to manage the document's cells.
+ */
+globalThis.qpyodideCreateCellContainer = function() {
+    return new CellContainer();
+}
+
+// Providers are registered for the `python` language, which all editors share
+let qpyodideLanguageProvidersRegistered = false;
+
+/**
+ * Offer completion and signature help in every Python editor, backed by jedi
+ * running against the live interpreter namespace.
+ */
+function qpyodideRegisterLanguageProviders() {
+    if (qpyodideLanguageProvidersRegistered) return;
+    qpyodideLanguageProvidersRegistered = true;
+
+    // Icons shown next to each suggestion, keyed by jedi's completion type
+    const kinds = {
+        module: monaco.languages.CompletionItemKind.Module,
+        class: monaco.languages.CompletionItemKind.Class,
+        instance: monaco.languages.CompletionItemKind.Variable,
+        function: monaco.languages.CompletionItemKind.Function,
+        param: monaco.languages.CompletionItemKind.Variable,
+        path: monaco.languages.CompletionItemKind.File,
+        keyword: monaco.languages.CompletionItemKind.Keyword,
+        property: monaco.languages.CompletionItemKind.Property,
+        statement: monaco.languages.CompletionItemKind.Variable
+    };
+
+    monaco.languages.registerCompletionItemProvider('python', {
+        triggerCharacters: ['.'],
+
+        async provideCompletionItems(model, position) {
+            // Nothing to ask before the interpreter has loaded
+            if (!globalThis.mainPyodide) return { suggestions: [] };
+
+            const request = {
+                code: model.getValue(),
+                line: position.lineNumber,
+                column: position.column - 1
+            };
+            const completions = await mainPyodide.complete(request.code, request.line, request.column);
+
+            const word = model.getWordUntilPosition(position);
+            const range = new monaco.Range(
+                position.lineNumber, word.startColumn, position.lineNumber, word.endColumn
+            );
+            return {
+                suggestions: completions.map((completion, index) => ({
+                    label: completion.name,
+                    kind: kinds[completion.type] ?? monaco.languages.CompletionItemKind.Text,
+                    insertText: completion.name,
+                    // Keep the order chosen by jedi
+                    sortText: String(index).padStart(4, "0"),
+                    range,
+                    qpyodideRequest: request
+                }))
+            };
+        },
+
+        async resolveCompletionItem(item) {
+            const { code, line, column } = item.qpyodideRequest;
+            const details = await mainPyodide.describeCompletion(code, line, column, item.label);
+            if (details) {
+                item.detail = details.signature;
+                item.documentation = details.docstring;
+            }
+            return item;
+        }
+    });
+
+    monaco.languages.registerSignatureHelpProvider('python', {
+        signatureHelpTriggerCharacters: ['(', ','],
+        signatureHelpRetriggerCharacters: [')'],
+
+        async provideSignatureHelp(model, position) {
+            if (!globalThis.mainPyodide) return null;
+
+            const help = await mainPyodide.signatureHelp(
+                model.getValue(), position.lineNumber, position.column - 1
+            );
+            if (!help) return null;
+
+            return {
+                value: {
+                    signatures: help.signatures.map((signature) => ({
+                        label: signature.label,
+                        documentation: signature.docstring,
+                        parameters: signature.parameters.map((parameter) => ({ label: parameter }))
+                    })),
+                    activeSignature: 0,
+                    activeParameter: help.active_parameter
+                },
+                dispose() {}
+            };
+        }
+    });
+}
+
 /**
  * CellContainer class for managing a collection of cells.
  * @class
@@ -49,7 +153,52 @@ class CellContainer {
     }
 
     /**
-     * Execute all cells in the container.
+     * Silently execute the setup cells in document order.
+     * @returns {string[]} Description of each setup cell that failed.
+     */
+    async executeSetupCells() {
+        const failures = [];
+        for (const cell of this.cells) {
+            if (!(cell instanceof SetupCell)) continue;
+
+            const error = await cell.runSetupCode();
+            if (error) {
+                console.error(`Setup cell ${cell.id} failed:`, error.message);
+                failures.push(`${cell.options.label || `cell ${cell.id}`} (${qpyodideSummarizeError(error)})`);
+            }
+        }
+        return failures;
+    }
+
+    /**
+     * Remove the results shown by every cell in the container.
+     */
+    clearAllOutputs() {
+        for (const cell of this.cells) {
+            cell.clearOutput();
+        }
+    }
+
+    /**
+     * Check the editors again after the namespace changed. Editors the student
+     * has not edited yet are never checked, so pages nobody edits do not load
+     * the linters.
+     * @param {boolean} onlyStale - Only check editors whose markers may be out of date, e.g. after a run.
+     */
+    lintAllCells(onlyStale = false) {
+        for (const cell of this.cells) {
+            if (!(cell instanceof InteractiveCell)) continue;
+
+            [cell, ...cell.scratchCells].forEach((editorCell) => {
+                if (editorCell.needsLint(onlyStale)) {
+                    editorCell.scheduleLint();
+                }
+            });
+        }
+    }
+
+    /**
+     * Execute the cells marked with `autorun: true` in document order.
      */
     async autoRunExecuteAllCells() {
         for (const cell of this.cells) {
@@ -73,7 +222,9 @@ class BaseCell {
         this.code = cellData.code;
         this.id = cellData.id;
         this.options = cellData.options;
-        this.insertionLocation = document.getElementById(`qpyodide-insertion-location-${this.id}`);
+        this.markdown = cellData.markdown ?? "";
+        this.insertionLocation = cellData.insertionLocation ??
+            document.getElementById(`qpyodide-insertion-location-${this.id}`);
         this.executionLock = false;
     }
 
@@ -83,13 +234,369 @@ class BaseCell {
         return this.options;
     }
 
+    /**
+     * Check if the cell requested to be run once Pyodide is ready.
+     * @returns {boolean} True when the `autorun` option is enabled.
+     */
+    isAutoRun() {
+        return this.options.autorun === "true";
+    }
+
+    /**
+     * Execute the cell if it is marked with `autorun: true`.
+     */
+    async autoRunExecuteCode() {
+        // Cells without a visible result have nothing to show on autorun
+    }
+
+    /**
+     * Describe the code the cell contributes to a page export.
+     * @returns {{code: string, text: string, figures: string[]}[]} Code with its current output.
+     */
+    exportCells() {
+        // Cells without code of their own contribute nothing
+        return [];
+    }
+
+    /**
+     * Read back the output currently shown in the given areas.
+     * @param {HTMLElement} outputCodeDiv - Area holding text output.
+     * @param {HTMLElement} outputGraphDiv - Area holding figures.
+     * @returns {{text: string, figures: string[]}} Text output and base64 encoded PNG figures.
+     */
+    collectOutputs(outputCodeDiv, outputGraphDiv) {
+        const text = outputCodeDiv?.classList.contains('has-content') ? outputCodeDiv.innerText : "";
+        const figures = Array.from(outputGraphDiv?.querySelectorAll('img') ?? [])
+            .map((img) => img.src.replace(/^data:image\/png;base64,/, ""));
+        return { text, figures };
+    }
+
+    /**
+     * Remove any results the cell displays.
+     */
+    clearOutput() {
+        // Cells without output areas have nothing to clear
+    }
+
+    /**
+     * Empty the given output areas and hide them.
+     * @param {...HTMLElement} areas - Output areas, missing ones are skipped.
+     */
+    clearOutputAreas(...areas) {
+        areas.forEach((area) => {
+            if (area) {
+                area.innerHTML = "";
+                area.classList.remove('has-content');
+            }
+        });
+    }
+
+    /**
+     * Claim the interpreter and prevent every cell from running while this cell executes.
+     * @returns {boolean} False when another run, a startup, or a restart is in progress.
+     */
+    disableInteractiveCells() {
+        // The lock is shared by the whole page
+        if (!qpyodideAcquireRun()) return false;
+        this.executionLock = true;
+
+        // Disallowing execution of other code cells
+        document.querySelectorAll(".qpyodide-button-run, .qpyodide-button-feedback").forEach((btn) => {
+            btn.disabled = true;
+        });
+        return true;
+    }
+
+    /**
+     * Allow cells to run again.
+     */
+    enableInteractiveCells() {
+        // Remove locking of execution for the cell
+        this.executionLock = false;
+        qpyodideReleaseRun();
+
+        // A restart unlocks the buttons itself once the new interpreter is ready
+        if (!qpyodideIsInterpreterAvailable()) return;
+
+        // All execution of other code cells
+        document.querySelectorAll(".qpyodide-button-run, .qpyodide-button-feedback").forEach((btn) => {
+            btn.disabled = false;
+        });
+    }
+
+    /**
+     * Figure settings of the cell passed along with the code to the worker.
+     * @returns {Object} Figure size in inches, resolution, and display pixel ratio.
+     */
+    figureOptions() {
+        return {
+            cellId: String(this.id),
+            figWidth: Number(this.options['fig-width']),
+            figHeight: Number(this.options['fig-height']),
+            dpi: Number(this.options.dpi),
+            // Render at least twice the resolution so figures stay sharp when scaled
+            pixelRatio: Math.max(window.devicePixelRatio || 1, 2)
+        };
+    }
+
+    /**
+     * Run Python code in the worker and gather everything it produced.
+     * @param {string} code - Python code to run.
+     * @param {number} firstLine - Editor line the code starts on, used to number traceback lines.
+     * @returns {{result: string, text: string, figures: {id: number, png: string}[], displays: Object[], error: ?Object}} Collected output as HTML and as text, rendered figures, values shown richly, and the error raised, if any.
+     */
+    async evaluateCode(code, firstLine = 1) {
+        // Force wait procedure
+        await mainPyodide;
+
+        // Clear the output stock
+        qpyodideResetOutputArray();
+
+        let figures = [];
+        let displays = [];
+        let error = null;
+
+        console.log("Running code!");
+        // Obtain results from the worker
+        try {
+            // Always check to see if the user adds new packages
+            await mainPyodide.loadPackagesFromImports(code);
+
+            // Ctrl+Enter runs of a line or selection leave open figures alone
+            const wholeCell = !this.editor || code === this.editor.getValue();
+
+            // Process result
+            const execution = await mainPyodide.runCell(code, { ...this.figureOptions(), firstLine, wholeCell });
+            figures = execution.figures;
+            displays = execution.displays;
+            error = execution.error ?? null;
+
+            if (execution.error) {
+                // Add the traceback, trimmed to the frames of the cell's code
+                qpyodideAddToOutputArray(this.formatError(execution.error), "stderr");
+            } else {
+                // Add output
+                if (execution.output !== undefined) {
+                    qpyodideAddToOutputArray(qpyodideFormatStream(String(execution.output), "stdout"), "stdout");
+                }
+            }
+        } catch (err) {
+            // Add error message
+            qpyodideAddToOutputArray(qpyodideFormatStream(String(err), "stderr"), "stderr");
+            error = err;
+        }
+
+        return {
+            result: qpyodideRetrieveOutput(),
+            text: qpyodideRetrieveOutputText(),
+            figures,
+            displays,
+            error
+        };
+    }
+
+    /**
+     * Write a Python error as HTML for the output area.
+     * @param {{message: string, traceback: ?string}} error - Error reported by the worker.
+     * @returns {string} Escaped traceback.
+     */
+    formatError(error) {
+        const traceback = qpyodideEscapeHTML(error.traceback ?? error.message);
+        return `<code class="qpyodide-output-code-stderr">${traceback}</code>`;
+    }
+
+    /**
+     * Build the element for a value shown by display() or as the last expression.
+     * @param {{text: string, html: ?string, latex: ?string, svg: ?string, png: ?string}} display - Representations of the value.
+     * @returns {HTMLElement} Element showing the richest representation.
+     */
+    createDisplayElement(display) {
+        const element = document.createElement("div");
+        element.className = "qpyodide-output-display";
+
+        if (display.html || display.svg) {
+            // Representations come from any library the code imports, so
+            // scripts and event handlers are removed like in the feedback
+            const markup = display.html ?? display.svg;
+            element.innerHTML = globalThis.DOMPurify ? DOMPurify.sanitize(markup) : markup;
+        } else if (display.latex) {
+            // Typeset as display math, so `$...$` and `$$...$$` are unwrapped
+            const latex = display.latex.trim();
+            const math = latex.match(/^\$\$?([\s\S]*?)\$?\$$/);
+            element.textContent = math ? `\\[${math[1]}\\]` : latex;
+            element.classList.add("qpyodide-output-display-math");
+        } else if (display.png) {
+            const img = document.createElement("img");
+            img.src = `data:image/png;base64,${display.png}`;
+            element.appendChild(img);
+        } else {
+            const pre = document.createElement("pre");
+            pre.textContent = display.text;
+            element.appendChild(pre);
+        }
+
+        return element;
+    }
+
+    /**
+     * Place text output and figures onto the page.
+     * @param {string} result - Collected text output.
+     * @param {{id: number, png: string}[]} figures - Figures rendered as base64 encoded PNG images.
+     * @param {HTMLElement} outputCodeDiv - Area receiving text output.
+     * @param {HTMLElement} outputGraphDiv - Area receiving figures.
+     * @param {Object[]} displays - Values shown by display() or as the last expression.
+     */
+    displayResults(result, figures, outputCodeDiv, outputGraphDiv, displays = []) {
+
+        // Nullify the output area of content
+        outputCodeDiv.innerHTML = "";
+        outputGraphDiv.innerHTML = "";        
+
+        // Design an output object for messages
+        const pre = document.createElement("pre");
+        if (/\S/.test(result)) {
+            // Display results as HTML elements to retain output styling
+            const div = document.createElement("div");
+            div.innerHTML = result;
+            pre.appendChild(div);
+            outputCodeDiv.classList.add('has-content');
+        } else {
+            // If nothing is present, hide the element.
+            pre.style.visibility = "hidden";
+             // If no output, hide the code output div
+            outputCodeDiv.classList.remove('has-content');
+        }
+
+        // Add output under interactive div
+        outputCodeDiv.appendChild(pre);
+
+        // Rich values follow the printed text
+        displays.forEach((display) => outputCodeDiv.appendChild(this.createDisplayElement(display)));
+        if (displays.length > 0) {
+            outputCodeDiv.classList.add('has-content');
+        }
+        if (displays.some((display) => display.latex)) {
+            qpyodideTypesetMath(outputCodeDiv).catch((err) => {
+                console.warn("Unable to typeset the LaTeX output:", err);
+            });
+        }
+
+        // Give every figure its own element, captioned by the matching `fig-cap` entry
+        const captions = this.figureCaptions();
+        figures.forEach((figure, index) => {
+            const graphFigure = document.createElement("figure");
+            graphFigure.appendChild(this.createFigureElement(figure));
+
+            if (captions[index]) {
+                // Create figcaption element
+                const figcaptionElement = document.createElement('figcaption');
+                figcaptionElement.innerText = captions[index];
+                // Append figcaption to figure
+                graphFigure.appendChild(figcaptionElement);    
+            }
+
+            outputGraphDiv.appendChild(graphFigure);
+        });
+
+        // Place the graphics onto the page
+        if (figures.length > 0) {
+            outputGraphDiv.classList.add('has-content');
+        }
+        else {
+            outputGraphDiv.classList.remove('has-content');
+        }
+    }
+
+    /**
+     * Captions for the figures of the cell, in order.
+     * Separate the captions of several figures with `|`, e.g. `fig-cap: Solution | Error`.
+     * @returns {string[]} One caption per figure.
+     */
+    figureCaptions() {
+        if (!this.options['fig-cap']) {
+            return [];
+        }
+        return String(this.options['fig-cap']).split("|").map((caption) => caption.trim());
+    }
+
+    /**
+     * Create the image of a figure along with its download buttons.
+     * @param {{id: number, png: string}} figure - Figure rendered by the worker.
+     * @returns {HTMLElement} Container holding the image and its toolbar.
+     */
+    createFigureElement(figure) {
+        const container = document.createElement("div");
+        container.className = "qpyodide-figure-container";
+
+        const img = document.createElement("img");
+        img.src = `data:image/png;base64,${figure.png}`;
+
+        // Size the image from `out-width`/`out-height`, or undo the extra render resolution
+        if (this.options['out-width']) {
+            img.style.width = this.options['out-width'];
+        }
+        if (this.options['out-height']) {
+            img.style.height = this.options['out-height'];
+        }
+        if (!this.options['out-width'] && !this.options['out-height']) {
+            const pixelRatio = this.figureOptions().pixelRatio;
+            img.onload = () => {
+                img.style.width = `${img.naturalWidth / pixelRatio}px`;
+            };
+        }
+
+        // Create a toolbar offering the figure as PNG or SVG
+        const toolbar = document.createElement("div");
+        toolbar.className = "qpyodide-figure-toolbar";
+
+        ["png", "svg"].forEach((format) => {
+            const downloadButton = document.createElement("button");
+            downloadButton.className = `btn btn-light btn-xs qpyodide-button qpyodide-button-download-${format}`;
+            downloadButton.type = "button";
+            downloadButton.title = `Download figure as ${format.toUpperCase()} (${this.options.dpi} dpi)`;
+            downloadButton.innerHTML = `<i class="fa-solid fa-download"></i> ${format.toUpperCase()}`;
+            downloadButton.onclick = () => this.downloadFigure(figure.id, format);
+            toolbar.appendChild(downloadButton);
+        });
+
+        container.appendChild(img);
+        container.appendChild(toolbar);
+        return container;
+    }
+
+    /**
+     * Download a figure at the resolution requested by the `dpi` option.
+     * @param {number} figureId - Id of the figure in the worker.
+     * @param {string} format - Either "png" or "svg".
+     */
+    async downloadFigure(figureId, format) {
+        let data;
+        try {
+            data = await mainPyodide.exportFigure(figureId, format, Number(this.options.dpi));
+        } catch (err) {
+            alert(`Unable to download the figure: ${qpyodideSummarizeError(err)}`);
+            return;
+        }
+
+        const fileName = `${this.options.label || `figure-${this.id}`}-${figureId}.${format}`;
+        if (format === "svg") {
+            qpyodideDownloadFile(data, fileName, "image/svg+xml");
+        } else {
+            const bytes = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+            qpyodideDownloadFile(bytes, fileName, "image/png");
+        }
+    }
+
     /**
      * Execute the Python code using Pyodide.
      * @returns {*} Result of the code execution.
      */
     async executeCode() {
+        // Always check to see if the cell needs new packages
+        await mainPyodide.loadPackagesFromImports(this.code);
+
         // Execute code using Pyodide
-        const result = getPyodide().runPython(this.code);
+        const result = await mainPyodide.runPythonAsync(this.code);
         return result;
     }
 };
@@ -109,8 +616,17 @@ class InteractiveCell extends BaseCell {
     constructor(cellData) {
         super(cellData);
         this.editor = null;
+        this.hints = cellData.hints ?? [];
+        this.solution = cellData.solution ?? "";
+        this.studentAttempt = null;
+        this.scratchCells = [];
+        this.scratchCounter = 0;
+        this.feedbackMessages = [];
+        this.lintRequested = false;
+        this.lintResult = null;
         this.setupElement();
         this.setupMonacoEditor();
+        this.restoreScratchCells();
     }
 
     /**
@@ -157,8 +673,18 @@ class InteractiveCell extends BaseCell {
         runCodeButton.textContent = '🟡 Loading Pyodide...';
         runCodeButton.title = `Run code (Shift + Enter)`;
 
+        // Create Stop button
+        var stopButton = document.createElement('button');
+        stopButton.className = 'btn btn-default qpyodide-button qpyodide-button-stop';
+        stopButton.disabled = true;
+        stopButton.type = 'button';
+        stopButton.id = `qpyodide-button-stop-${this.id}`;
+        stopButton.title = qpyodideStopButtonTitle;
+        stopButton.innerHTML = '<i class="fa-solid fa-stop qpyodide-icon-stop-code"></i> <span>Stop</span>';
+
         // Append buttons to the leftButtonsDiv
         leftButtonsDiv.appendChild(runCodeButton);
+        leftButtonsDiv.appendChild(stopButton);
 
         // Create Read Only Label
         var readOnlyLabel = document.createElement('label');
@@ -171,6 +697,25 @@ class InteractiveCell extends BaseCell {
         // Append label to middleToolBar
         middleToolBarDiv.appendChild(readOnlyLabel);
 
+        // Create indicator shown when edits from an earlier visit are restored
+        var restoredIndicator = document.createElement('span');
+        restoredIndicator.className = 'qpyodide-restored-indicator';
+        restoredIndicator.id = `qpyodide-restored-indicator-${this.id}`;
+        restoredIndicator.hidden = true;
+        restoredIndicator.innerHTML = '<i class="fa-solid fa-clock-rotate-left"></i> <span>Restored your edits</span>';
+
+        // Create Revert button
+        var revertButton = document.createElement('button');
+        revertButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-revert';
+        revertButton.type = 'button';
+        revertButton.id = `qpyodide-button-revert-${this.id}`;
+        revertButton.title = 'Discard the restored edits and show the original code';
+        revertButton.textContent = 'Revert';
+
+        // Append indicator to middleToolBar
+        restoredIndicator.appendChild(revertButton);
+        middleToolBarDiv.appendChild(restoredIndicator);
+
         // Create Reset button
         var resetButton = document.createElement('button');
         resetButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-reset';
@@ -187,6 +732,28 @@ class InteractiveCell extends BaseCell {
         copyButton.title = 'Copy code';
         copyButton.innerHTML = '<i class="fa-regular fa-copy"></i>';
 
+        // Create a Hint button for every hint, each unlocked by the one before it
+        var hintButtons = this.hints.map((hint, index) => {
+            var hintButton = document.createElement('button');
+            hintButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-hint';
+            hintButton.type = 'button';
+            hintButton.id = `qpyodide-button-hint-${this.id}-${index + 1}`;
+            hintButton.title = `Show hint ${index + 1}`;
+            hintButton.disabled = index > 0;
+            hintButton.innerHTML = `<i class="fa-regular fa-lightbulb"></i> Hint ${index + 1}`;
+            return hintButton;
+        });
+
+        if (this.solution) {
+            // Create Show solution button
+            var solutionButton = document.createElement('button');
+            solutionButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-solution';
+            solutionButton.type = 'button';
+            solutionButton.id = `qpyodide-button-solution-${this.id}`;
+            solutionButton.title = 'Show the solution in the editor';
+            solutionButton.textContent = 'Show solution';
+        }
+
         if (globalThis.feedback == true){
             // Create Feedback button
             var feedbackButton = document.createElement('button');
@@ -196,6 +763,15 @@ class InteractiveCell extends BaseCell {
             feedbackButton.id = `qpyodide-button-feedback-${this.id}`;
             feedbackButton.title = 'Give feedback';
             feedbackButton.textContent = "Feedback";
+
+            // Create Clear chat button
+            var clearFeedbackButton = document.createElement('button');
+            clearFeedbackButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-clear-feedback';
+            clearFeedbackButton.disabled = true;
+            clearFeedbackButton.type = 'button';
+            clearFeedbackButton.id = `qpyodide-button-clear-feedback-${this.id}`;
+            clearFeedbackButton.title = 'Clear the conversation with the feedback assistant';
+            clearFeedbackButton.innerHTML = '<i class="fa-solid fa-comment-slash"></i>';
         }
 
         // Create AddCodeBlockButton button
@@ -212,10 +788,15 @@ class InteractiveCell extends BaseCell {
         
 
         // Append buttons to the rightButtonsDiv
+        hintButtons.forEach((hintButton) => rightButtonsDiv.appendChild(hintButton));
+        if (this.solution) {
+            rightButtonsDiv.appendChild(solutionButton);
+        }
         rightButtonsDiv.appendChild(resetButton);
         rightButtonsDiv.appendChild(copyButton);
         if (globalThis.feedback == true && this.options['read-only'] == "false") {
             rightButtonsDiv.appendChild(feedbackButton);
+            rightButtonsDiv.appendChild(clearFeedbackButton);
         }
         rightButtonsDiv.appendChild(addCodeBlockButton);
 
@@ -224,6 +805,12 @@ class InteractiveCell extends BaseCell {
         consoleAreaDiv.id = `qpyodide-console-area-${this.id}`;
         consoleAreaDiv.className = 'qpyodide-console-area';
 
+        // Create hint area div
+        var hintAreaDiv = document.createElement('div');
+        hintAreaDiv.id = `qpyodide-hint-area-${this.id}`;
+        hintAreaDiv.className = 'qpyodide-hint-area';
+        hintAreaDiv.setAttribute('aria-live', 'polite');
+
         // Create editor div
         var editorDiv = document.createElement('div');
         editorDiv.id = `qpyodide-editor-${this.id}`;
@@ -263,7 +850,8 @@ class InteractiveCell extends BaseCell {
         details.appendChild(summary);
         details.appendChild(toolbarDiv); // Add the toolbar
 
-        // Add the console area (editorDiv and outputCodeAreaDiv) to `details`
+        // Add the console area (hints, editorDiv and outputCodeAreaDiv) to `details`
+        consoleAreaDiv.appendChild(hintAreaDiv);
         consoleAreaDiv.appendChild(editorDiv);
         consoleAreaDiv.appendChild(outputCodeAreaDiv);
         if (globalThis.feedback == true && this.options['read-only'] === "false") {
@@ -282,210 +870,57 @@ class InteractiveCell extends BaseCell {
         toolbarDiv.appendChild(middleToolBarDiv);
         toolbarDiv.appendChild(rightButtonsDiv);
 
+        // Create the area holding the code blocks the student adds below the cell
+        var scratchAreaDiv = document.createElement('div');
+        scratchAreaDiv.id = `qpyodide-scratch-area-${this.id}`;
+        scratchAreaDiv.className = 'qpyodide-scratch-area';
+
         // Insert the dynamically generated object at the document location.
         this.insertionLocation.appendChild(mainDiv);
+        this.insertionLocation.appendChild(scratchAreaDiv);
     }
-    
-
-
-    setupNewElement() {
-
-        // Create main div element
-        this.id = this.id+".2";
-         
-        // Create details element
-        var detailsElement = document.createElement('details');
-        detailsElement.id = `qpyodide-details-${this.id}`;
-        detailsElement.open = true; 
 
-        // Create summary element
-        var summaryElement = document.createElement('summary');
-        summaryElement.textContent = "Show Python Code"; // Text for the summary
-        summaryElement.className = "qpyodide-summary"; // Optional class for styling
 
-        // Append summary to details
-        detailsElement.appendChild(summaryElement);
 
-        var mainDiv = document.createElement('div');
-        mainDiv.id = `qpyodide-interactive-area-${this.id}`;
-        mainDiv.className = `qpyodide-interactive-area`;
-        if (this.options.classes) {
-            mainDiv.className += " " + this.options.classes
-        }
+    /**
+     * Set up Monaco Editor for code editing.
+     */
+    setupMonacoEditor() {
+        // Retrieve the previously created document elements
+        this.runButton = document.getElementById(`qpyodide-button-run-${this.id}`);
+        this.stopButton = document.getElementById(`qpyodide-button-stop-${this.id}`);
+        this.resetButton = document.getElementById(`qpyodide-button-reset-${this.id}`);
+        this.copyButton = document.getElementById(`qpyodide-button-copy-${this.id}`);
+        this.feedbackButton = document.getElementById(`qpyodide-button-feedback-${this.id}`);
+        this.clearFeedbackButton = document.getElementById(`qpyodide-button-clear-feedback-${this.id}`);
+        this.addCodeBlockButton = document.getElementById(`qpyodide-button-codeblock-${this.id}`);
+        this.readOnlyLabel = document.getElementById(`qpyodide-readonly-label-${this.id}`);
+        this.restoredIndicator = document.getElementById(`qpyodide-restored-indicator-${this.id}`);
+        this.hintAreaDiv = document.getElementById(`qpyodide-hint-area-${this.id}`);
+        this.hintButtons = this.hints.map((hint, index) => document.getElementById(`qpyodide-button-hint-${this.id}-${index + 1}`));
+        this.solutionButton = document.getElementById(`qpyodide-button-solution-${this.id}`);
+        this.revertButton = document.getElementById(`qpyodide-button-revert-${this.id}`);
+        this.scratchAreaDiv = document.getElementById(`qpyodide-scratch-area-${this.id}`);
+        this.editorDiv = document.getElementById(`qpyodide-editor-${this.id}`);
+        this.outputCodeDiv = document.getElementById(`qpyodide-output-code-area-${this.id}`);
+        this.outputFeedbackDiv = document.getElementById(`qpyodide-output-feedback-area-${this.id}`);
+        this.outputGraphDiv = document.getElementById(`qpyodide-output-graph-area-${this.id}`);
+        
+        // Store reference to the object
+        var thiz = this;
 
-        // Add a unique cell identifier that users can customize
-        if (this.options.label) {
-            mainDiv.setAttribute('data-id', this.options.label);
+        if (thiz.options['read-only'] == "true") {
+            thiz.editorDiv.parentElement.previousElementSibling.style.backgroundColor = "#cecece";
+            thiz.readOnlyLabel.textContent = "Read-Only";
+        } else {
+            thiz.editorDiv.parentElement.previousElementSibling.style.backgroundColor = "#bdecb6";
+            thiz.readOnlyLabel.textContent = "Editable";
         }
 
-        // Create toolbar div
-        var toolbarDiv = document.createElement('div');
-        toolbarDiv.className = 'qpyodide-editor-toolbar';
-        toolbarDiv.id = `qpyodide-editor-toolbar-${this.id}`;
+        // Load the Monaco Editor and create an instance
+        require(['vs/editor/editor.main'], function () {
+            qpyodideRegisterLanguageProviders();
 
-        // Create a div to hold the left buttons
-        var leftButtonsDiv = document.createElement('div');
-        leftButtonsDiv.className = 'qpyodide-editor-toolbar-left-buttons';
-
-         // Create a div for middle label
-         var middleToolBarDiv = document.createElement('div');
-         middleToolBarDiv.className = 'qpyodide-editor-toolbar-middle';
-
-        // Create a div to hold the right buttons
-        var rightButtonsDiv = document.createElement('div');
-        rightButtonsDiv.className = 'qpyodide-editor-toolbar-right-buttons';
-
-        // Create Run Code button
-        var runCodeButton = document.createElement('button');
-        runCodeButton.className = 'btn btn-default qpyodide-button qpyodide-button-run';
-        runCodeButton.disabled = true;
-        runCodeButton.type = 'button';
-        runCodeButton.id = `qpyodide-button-run-${this.id}`;
-        runCodeButton.textContent = '🟡 Loading Pyodide...';
-        runCodeButton.title = `Run code (Shift + Enter)`;
-
-        // Append buttons to the leftButtonsDiv
-        leftButtonsDiv.appendChild(runCodeButton);
-
-        // Create Read Only Label
-        var readOnlyLabel = document.createElement('label');
-        readOnlyLabel.className = 'qpyodide-label qpyodide-readonly-label';
-        readOnlyLabel.type = 'label';
-        readOnlyLabel.id = `qpyodide-readonly-label-${this.id}`;
-        readOnlyLabel.textContent = "ReadOnly";
-        readOnlyLabel.title = `Read Only`;
-
-        // Append label to middleToolBar
-        middleToolBarDiv.appendChild(readOnlyLabel);
-
-        // Create Reset button
-        var resetButton = document.createElement('button');
-        resetButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-reset';
-        resetButton.type = 'button';
-        resetButton.id = `qpyodide-button-reset-${this.id}`;
-        resetButton.title = 'Start over';
-        resetButton.innerHTML = '<i class="fa-solid fa-arrows-rotate"></i>';
-
-        // Create Copy button
-        var copyButton = document.createElement('button');
-        copyButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-copy';
-        copyButton.type = 'button';
-        copyButton.id = `qpyodide-button-copy-${this.id}`;
-        copyButton.title = 'Copy code';
-        copyButton.innerHTML = '<i class="fa-regular fa-copy"></i>';
-
-        if (globalThis.feedback == true){
-            // Create Feedback button
-            var feedbackButton = document.createElement('button');
-            feedbackButton.className = 'btn  btn-default qpyodide-button qpyodide-button-feedback';
-            feedbackButton.disabled = true;
-            feedbackButton.type = 'button';
-            feedbackButton.id = `qpyodide-button-feedback-${this.id}`;
-            feedbackButton.title = 'Give feedback';
-            feedbackButton.textContent = "Feedback";
-        }
-
-        // Append buttons to the rightButtonsDiv
-        rightButtonsDiv.appendChild(resetButton);
-        rightButtonsDiv.appendChild(copyButton);
-        if (globalThis.feedback == true){
-            rightButtonsDiv.appendChild(feedbackButton);
-        }
-
-        // Create console area div
-        var consoleAreaDiv = document.createElement('div');
-        consoleAreaDiv.id = `qpyodide-console-area-${this.id}`;
-        consoleAreaDiv.className = 'qpyodide-console-area';
-
-        // Create editor div
-        var editorDiv = document.createElement('div');
-        editorDiv.id = `qpyodide-editor-${this.id}`;
-        editorDiv.className = 'qpyodide-editor';
-
-        // Create output code area div
-        var outputCodeAreaDiv2 = document.createElement('div');
-        outputCodeAreaDiv2.id = `qpyodide-output-code-area-${this.id}`;
-        outputCodeAreaDiv2.className = 'qpyodide-output-code-area';
-        outputCodeAreaDiv2.setAttribute('aria-live', 'assertive');
-
-        // Create pre element inside output code area
-        var preElement = document.createElement('pre');
-        preElement.style.visibility = 'hidden';
-        outputCodeAreaDiv2.appendChild(preElement);
-
-        if (globalThis.feedback == true){
-            // Create output feedback area div
-            var outputFeedbackAreaDiv2 = document.createElement('div');
-            outputFeedbackAreaDiv2.id = `qpyodide-output-feedback-area-${this.id}`;
-            outputFeedbackAreaDiv2.className = 'qpyodide-output-feedback-area';
-            outputFeedbackAreaDiv2.setAttribute('aria-live', 'assertive');
-        }
-
-        // Create output graph area div
-        var outputGraphAreaDiv2 = document.createElement('div');
-        outputGraphAreaDiv2.id = `qpyodide-output-graph-area-${this.id}`;
-        outputGraphAreaDiv2.className = 'qpyodide-output-graph-area';
-
-        // Append buttons to the toolbar
-        toolbarDiv.appendChild(leftButtonsDiv);
-        toolbarDiv.appendChild(middleToolBarDiv);
-        toolbarDiv.appendChild(rightButtonsDiv);
-        
-
-        // Append all elements to the main div
-        mainDiv.appendChild(toolbarDiv);
-        consoleAreaDiv.appendChild(editorDiv);
-        consoleAreaDiv.appendChild(outputCodeAreaDiv2);
-        if (globalThis.feedback == true){
-            consoleAreaDiv.appendChild(outputFeedbackAreaDiv2);
-        }
-        mainDiv.appendChild(consoleAreaDiv);
-        mainDiv.appendChild(outputGraphAreaDiv2);
-
-        // Append main div to details
-        detailsElement.appendChild(mainDiv);
-
-        // Insert the details element at the document location.
-        this.insertionLocation.appendChild(detailsElement);
-
-        // Unlock interactive buttons
-        qpyodideSetInteractiveButtonState(
-        `<i class="fa-solid fa-play qpyodide-icon-run-code"></i> <span>Run Code</span>`, 
-        true
-        ); 
-    }; 
-
-      
-
-    /**
-     * Set up Monaco Editor for code editing.
-     */
-    setupMonacoEditor() {
-        // Retrieve the previously created document elements
-        this.runButton = document.getElementById(`qpyodide-button-run-${this.id}`);
-        this.resetButton = document.getElementById(`qpyodide-button-reset-${this.id}`);
-        this.copyButton = document.getElementById(`qpyodide-button-copy-${this.id}`);
-        this.feedbackButton = document.getElementById(`qpyodide-button-feedback-${this.id}`);
-        this.addCodeBlockButton = document.getElementById(`qpyodide-button-codeblock-${this.id}`);
-        this.readOnlyLabel = document.getElementById(`qpyodide-readonly-label-${this.id}`);
-        this.editorDiv = document.getElementById(`qpyodide-editor-${this.id}`);
-        this.outputCodeDiv = document.getElementById(`qpyodide-output-code-area-${this.id}`);
-        this.outputFeedbackDiv = document.getElementById(`qpyodide-output-feedback-area-${this.id}`);
-        this.outputGraphDiv = document.getElementById(`qpyodide-output-graph-area-${this.id}`);
-        
-        // Store reference to the object
-        var thiz = this;
-
-        if (thiz.options['read-only'] == "true") {
-            thiz.editorDiv.parentElement.previousElementSibling.style.backgroundColor = "#cecece";
-            thiz.readOnlyLabel.textContent = "Read-Only";
-        } else {
-            thiz.editorDiv.parentElement.previousElementSibling.style.backgroundColor = "#bdecb6";
-            thiz.readOnlyLabel.textContent = "Editable";
-        }
-
-        // Load the Monaco Editor and create an instance
-        require(['vs/editor/editor.main'], function () {
             thiz.editor = monaco.editor.create(
                 thiz.editorDiv, {
                     value: thiz.code,
@@ -551,6 +986,9 @@ class InteractiveCell extends BaseCell {
             const addPyodideKeyboardShortCutCommands = () => {
             // Add a keydown event listener for Shift+Enter to run all code in cell
             thiz.editor.addCommand(monaco.KeyMod.Shift | monaco.KeyCode.Enter, () => {
+                // Another cell is running or the interpreter is not ready
+                if (qpyodideIsBusy()) return;
+
                 // Retrieve all text inside the editor
                 thiz.runCode(thiz.editor.getValue());
                 thiz.outputCodeDiv.classList.add('has-content');
@@ -558,6 +996,9 @@ class InteractiveCell extends BaseCell {
         
             // Add a keydown event listener for CMD/Ctrl+Enter to run selected code
             thiz.editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, () => {
+                    // Leave the cursor where it is when the code cannot run
+                    if (qpyodideIsBusy()) return;
+
                     // Get the selected text from the editor
                     const selectedText = thiz.editor.getModel().getValueInRange(thiz.editor.getSelection());
                     // Check if no code is selected
@@ -581,13 +1022,13 @@ class InteractiveCell extends BaseCell {
                         }
                         
                         // Run the entire line of code.
-                        thiz.runCode(currentLine);
+                        thiz.runCode(currentLine, currentPosition.lineNumber);
                 
                         // Move cursor to new position
                         thiz.editor.setPosition(newPosition);
                     } else {
                         // Code to run when Ctrl+Enter is pressed with selected code
-                        thiz.runCode(selectedText);
+                        thiz.runCode(selectedText, thiz.editor.getSelection().startLineNumber);
                     }
                     thiz.outputCodeDiv.classList.add('has-content');
                 });
@@ -602,6 +1043,13 @@ class InteractiveCell extends BaseCell {
         
             // Register an on change event for when new code is added to the editor window
             thiz.editor.onDidContentSizeChange(updateHeight);
+
+            // Bring back edits made during an earlier visit and keep saving new ones
+            thiz.restoreSavedCode();
+            thiz.editor.onDidChangeModelContent(() => {
+                thiz.scheduleSaveCode();
+                thiz.scheduleLint();
+            });
         
             // Manually re-update height to account for the content we inserted into the call
             updateHeight();
@@ -617,6 +1065,18 @@ class InteractiveCell extends BaseCell {
             thiz.outputCodeDiv.classList.add('has-content');
         };
         
+        // Add a click event listener to the stop button
+        thiz.stopButton.onclick = async function () {
+            thiz.stopButton.disabled = true;
+            try {
+                await mainPyodide.interruptExecution();
+            } catch (err) {
+                qpyodideReportRestartFailure(err);
+            } finally {
+                qpyodideSetRestartButtonState(true);
+            }
+        };
+        
         // Add a click event listener to the copy button
         thiz.copyButton.onclick = function () {
             // Retrieve current code data
@@ -628,804 +1088,1433 @@ class InteractiveCell extends BaseCell {
         
         // Add a click event listener to the reset button
         thiz.resetButton.onclick = function () {
-            thiz.editor.setValue(thiz.editor.__qpyodideinitialCode);
-            if(thiz.outputFeedbackDiv.classList.contains('has-content')){
-                thiz.outputFeedbackDiv.innerHTML = "";
-            }
-            if(thiz.outputCodeDiv.classList.contains('has-content')){
-                thiz.outputCodeDiv.innerHTML = "";
-            }
-            if(thiz.outputGraphDiv.classList.contains('has-content')){
-                thiz.outputGraphDiv.innerHTML = "";
+            thiz.hideSolution(false);
+            thiz.resetCode();
+            if (thiz.restoredIndicator) {
+                thiz.restoredIndicator.hidden = true;
             }
+            // The conversation with the feedback assistant is kept until it is cleared
+            thiz.clearOutputAreas(thiz.outputCodeDiv, thiz.outputGraphDiv);
         };
 
-        if (thiz.options['read-only'] == "false") {
-            
-            document.addEventListener('DOMContentLoaded', function () {
-                if(globalThis.backend == "groq"){
-                    // Check if an API key is stored in sessionStorage
-                    const storedApiKey = sessionStorage.getItem('apiKey');
-                    if (storedApiKey) {
-                        document.getElementById('apiKeyInput').value = storedApiKey;
-                    }
+        // Add a click event listener to the revert button
+        if (thiz.revertButton) {
+            thiz.revertButton.onclick = function () {
+                thiz.editor.setValue(thiz.editor.__qpyodideinitialCode);
+                thiz.restoredIndicator.hidden = true;
+            };
+        }
+
+        // Add click event listeners to the hint buttons
+        thiz.hintButtons.forEach((hintButton, index) => {
+            hintButton.onclick = function () {
+                thiz.revealHint(index);
+            };
+        });
+
+        // Add a click event listener to the solution button
+        if (thiz.solutionButton) {
+            thiz.solutionButton.onclick = function () {
+                if (thiz.studentAttempt === null) {
+                    thiz.showSolution();
+                } else {
+                    thiz.hideSolution();
                 }
+            };
+        }
 
-            // Add a click event listener to the feedback button
-            thiz.feedbackButton.onclick = async function () {
-                const system_prompt = "You are an AI Assistant, specialized in coding issues. You give concise answers, without asking further questions.";
-                const prompt1 = "Review the following Python code for errors and provide feedback. The code output, including any syntax errors, will be provided for detailed analysis. This is the source code of the user:\n"; 
-                const prompt2 = "Your feedback should highlight both the strengths of the code and any potential errors, providing explanations where necessary. While you may offer tips for improvement, avoid providing exact code solutions. Focus on guiding the user towards better practices and understanding. Structure the feedback like this: Syntax errors: \n Strengths of the code: \n Potential improvements:\n ";    
-                // Retrieve current code data  
-                const data = thiz.editor.getValue();
-                
+        // Add a click event listener to the feedback button
+        if (thiz.feedbackButton) {
+            thiz.feedbackButton.onclick = function () {
+                thiz.requestFeedback();
+            };
+        }
 
-                let runtime_message;
-                try {
-                    // Check if we have an execution lock
-                    if (thiz.executeLock) return; 
-                    
-                    thiz.disableInteractiveCells();
-
-                    // Force wait procedure
-                    await mainPyodide;
-
-                    // Clear the output stock
-                    qpyodideResetOutputArray();
-
-                    // Obtain results from the base class
-                    try {
-                        // Always check to see if the user adds new packages
-                        await mainPyodide.loadPackagesFromImports(data);
-
-                        // Process result
-                        const output = await mainPyodide.runPythonAsync(data);
-
-                        // Add output
-                        qpyodideAddToOutputArray(output, "stdout");
-                    } catch (err) {
-                        // Add error message
-                        qpyodideAddToOutputArray(err, "stderr");
-                        // TODO: There has to be a way to remove the Pyodide portion of the errors... 
-                    }
+        // Add a click event listener to the clear chat button
+        if (thiz.clearFeedbackButton) {
+            thiz.clearFeedbackButton.onclick = function () {
+                thiz.clearFeedback();
+            };
+        }
 
-                runtime_message = qpyodideRetrieveOutput(); 
-                // Re-enable execution
-                thiz.enableInteractiveCells();
-                } catch (error) {
-                    runtime_message = `Error: ${error.message}`;
-                }
-                const runtime_prompt = "\nHere is the output of the python interpreter:\n";
+        // Bring back the conversation with the feedback assistant
+        thiz.restoreFeedback();
 
-            
+        // Add a click event listener to add another code block below the cell
+        if (thiz.addCodeBlockButton) {
+            thiz.addCodeBlockButton.onclick = function () {
+                thiz.addScratchCell();
+            };
+        }
+    }
 
-                if(globalThis.backend == "groq"){
-                    const url = document.getElementById('baseUrlInput').value; 
-                    const apiKey = document.getElementById('apiKeyInput').value;
-                    const modelsUrl = `${url}/models`; 
-                    const feedbackUrl = `${url}/chat/completions`;
-                    if (!apiKey) {
-                        alert('Please enter your API Key.');
-                        return;
-                    }
-                    // Send the request to the API
-                    fetch(modelsUrl, {
-                        method: "GET",
-                        headers: {
-                            "Authorization": `Bearer ${apiKey}`,
-                            "Content-Type": "application/json"
-                        }
-                    })
-                    .then(response => response.json())
-                    .then(modelsData => {
-                        console.log("Model list:", modelsData);
-
-                         // Extrahiere die Modell-IDs aus dem `data`-Array
-                        const modelIds = modelsData.data.map(model => model.id);
-                        let selectedModel = "mixtral-8x7b-32768";
-                        if (!modelIds.includes(selectedModel)) {
-                            selectedModel = modelIds[0];
-                        }
-                        console.log("Selected model:", selectedModel);
-                    
-                    
-                        // Prepare the request data
-                        const requestData = {
-                            messages:  
-                            [{role: "system", content: system_prompt},
-                            {role: "user", content: runtime_prompt + runtime_message + prompt1 + data + prompt2 }],
-                            model: selectedModel
-                        };
-                        
+    /**
+     * Run the editor code and start a conversation with the feedback service about it.
+     */
+    async requestFeedback() {
+        // Retrieve current code data
+        const code = this.editor.getValue();
+
+        // Run the code so the review can take its output into account, unless
+        // another cell is running
+        if (!this.disableInteractiveCells()) return;
+        const evaluation = await this.evaluateCode(code);
+        this.enableInteractiveCells();
 
-                        
+        // A new review starts a new conversation about the current code. The
+        // code and its output stay in the conversation as hidden context.
+        this.cancelFeedback();
 
-                        fetch(feedbackUrl, {
-                            method: "POST",
-                            headers: {
-                                "Authorization": `Bearer ${apiKey}`,
-                                "Content-Type": "application/json"
-                            },
-                            body: JSON.stringify(requestData)
-                        })
-                        .then(feedbackresponse => feedbackresponse.json())
-                        .then(data => {
-                            // Clear the existing feedback in the outputFeedbackDiv
-                            thiz.outputFeedbackDiv.innerHTML = "";
-                            // Get the feedback from the API response
-                            const feedback = data.choices[0].message.content;
-
-                            // Function to replace \n with <br>
-                            function replaceNewlinesWithBr(text) {
-                                return text.replace(/\n/g, '<br>');
-                            }
-
-                            // Create the inner div element for the feedback header 
-                            const feedbackHeaderDiv = document.createElement("div");
-                            feedbackHeaderDiv.setAttribute("id", "feedback-label");
-                            feedbackHeaderDiv.innerHTML = "AI-Feedback:";
-                            thiz.outputFeedbackDiv.appendChild(feedbackHeaderDiv);
-                            thiz.outputFeedbackDiv.firstChild.style.textDecoration = "underline";
-                            thiz.outputFeedbackDiv.firstChild.style.marginBottom = "20px";
-                            thiz.outputFeedbackDiv.firstChild.style.fontSize = "large";
-
-                            // Create a new element to display the feedback
-                            const feedbackElement = document.createElement('div');
-                            feedbackElement.innerHTML = replaceNewlinesWithBr(feedback);
-
-                            // Append the feedback element below the code field
-                            thiz.outputFeedbackDiv.appendChild(feedbackElement);
-                        })
-                        .catch(error => {
-                            console.error('Error:', error);
-                            alert('Error requesting the API: ' + error);
-                        });
-                    })
-                    .catch(error => {
-                        console.error('Error fetching models:', error);
-                        alert('Error when retrieving the model list: ' + error);
-                    });
-                }
+        if (qpyodideUseOfflineFeedback()) {
+            await this.showOfflineReview(code);
+            return;
+        }
 
+        this.feedbackMessages = qpyodideCreateFeedbackMessages({
+            code,
+            output: evaluation.text,
+            exercise: this.markdown,
+            prompt: this.options['feedback-prompt'],
+            language: this.options['feedback-language']
+        });
+        this.saveFeedback();
+        await this.renderFeedbackThread();
 
-                if(globalThis.backend == "flask"){
-                    // Prepare the request data
-                    const requestData = {
-                        messages:  
-                        [{role: "system", content: system_prompt},
-                        {role: "user", content: runtime_prompt + runtime_message + prompt1 + data + prompt2 }]
-                    };
-                    // URL of the Flask server
-                    const url = "http://127.0.0.1:5000/api/feedback"; 
-
-                    // Send the request to the server
-                    fetch(url, {
-                        method: "POST",
-                        headers: {
-                            "Content-Type": "application/json"
-                        },
-                        body: JSON.stringify(requestData)
-                    })
-                    .then(response => response.json())
-                    .then(data => {
-                        if (data && data.choices && data.choices.length > 0) {
-                            // Clear the existing feedback in the outputFeedbackDiv
-                            thiz.outputFeedbackDiv.innerHTML = "";
-                            // Get the feedback from the API response
-                            const feedback = data.choices[0].message.content;
-
-                             // Log the entire model list and the selected model
-                            console.log("Model list: ", data.model_list); 
-                            console.log("Selected model: ", data.selected_model);
-
-                            // Function to replace \n with <br>
-                            function replaceNewlinesWithBr(text) {
-                                return text.replace(/\n/g, '<br>');
-                            }
-
-                            // Create the inner div element for the feedback header 
-                            const feedbackHeaderDiv = document.createElement("div");
-                            feedbackHeaderDiv.setAttribute("id", "feedback-label");
-                            feedbackHeaderDiv.innerHTML = "AI-Feedback:";
-                            thiz.outputFeedbackDiv.appendChild(feedbackHeaderDiv);
-                            thiz.outputFeedbackDiv.firstChild.style.textDecoration = "underline";
-                            thiz.outputFeedbackDiv.firstChild.style.marginBottom = "20px";
-                            thiz.outputFeedbackDiv.firstChild.style.fontSize = "large";
-
-                            // Create a new element to display the feedback
-                            const feedbackElement = document.createElement('div');
-                            feedbackElement.innerHTML = replaceNewlinesWithBr(feedback);
-
-                            // Append the feedback element below the code field
-                            thiz.outputFeedbackDiv.appendChild(feedbackElement);
-                        }else {
-                            console.error("Error: 'choices' field is missing or empty in the API response.");
-                            alert("Error when retrieving feedback: 'choices' field not available or empty.");
-                        }
-                    })
-                    .catch(error => {
-                        console.error('Error:', error);
-                        alert('Error when requesting the API:  ' + error);
-                    });
+        await this.sendFeedbackMessages();
+    }
+
+    /**
+     * Review the code in the browser and show the findings in the feedback area.
+     * @param {string} code - Python code to review.
+     */
+    async showOfflineReview(code) {
+        let content;
+        try {
+            content = qpyodideFormatOfflineReview(await mainPyodide.reviewCode(code));
+        } catch (err) {
+            content = `The automatic review failed: ${qpyodideSummarizeError(err)}`;
+        }
+
+        this.feedbackMessages = [{role: "assistant", content, offline: true}];
+        this.saveFeedback();
+        await this.renderFeedbackThread();
+    }
+
+    /**
+     * Ask a follow-up question about the code that was reviewed.
+     * @param {string} question - Question typed by the student.
+     */
+    async askFeedbackQuestion(question) {
+        if (question.trim() === "" || this.feedbackController) return;
+
+        const message = {role: "user", content: question.trim()};
+        this.feedbackMessages.push(message);
+        this.saveFeedback();
+        await this.appendFeedbackMessage(message);
+
+        await this.sendFeedbackMessages();
+    }
+
+    /**
+     * Send the conversation and show the answer as it arrives, until it is complete or cancelled.
+     */
+    async sendFeedbackMessages() {
+        const messages = this.feedbackMessages.map(({ role, content }) => ({ role, content }));
+        const answerElement = await this.appendFeedbackMessage({role: "assistant", content: ""});
+
+        // A cancelled request may settle after a new conversation started, so
+        // it only touches the status and state while it is still the current one
+        const controller = new AbortController();
+        const isCurrent = () => this.feedbackController === controller;
+        this.feedbackController = controller;
+        this.showFeedbackStatus("Thinking...", true);
+        this.setFeedbackBusy(true);
+
+        try {
+            const feedback = await qpyodideRequestFeedback(messages, {
+                signal: controller.signal,
+                onText: (text) => {
+                    if (!isCurrent()) return;
+                    // Once text arrives the service is no longer just thinking
+                    this.showFeedbackStatus("Writing...", true);
+                    qpyodideRenderFeedback(answerElement, text);
                 }
+            });
+            if (!isCurrent()) return;
+
+            this.feedbackMessages.push({role: "assistant", content: feedback});
+            this.saveFeedback();
+
+            this.showFeedbackStatus(null);
+            await qpyodideRenderFeedback(answerElement, feedback, true);
+        } catch (error) {
+            // Unfinished answers are not kept in the conversation
+            answerElement.parentElement?.remove();
+            if (!isCurrent()) return;
+
+            if (error.name === 'AbortError') {
+                this.showFeedbackStatus('Feedback cancelled.');
+            } else {
+                console.error('Error:', error);
+                this.showFeedbackStatus(`Error when requesting feedback: ${error.message}`);
+            }
+        } finally {
+            if (isCurrent()) {
+                this.feedbackController = null;
+                this.setFeedbackBusy(false);
+            }
+        }
+    }
 
-                thiz.outputFeedbackDiv.classList.add('has-content');
-                };
-            })};
-            
+    /**
+     * Stop waiting for the feedback that is being written.
+     */
+    cancelFeedback() {
+        if (this.feedbackController) {
+            this.feedbackController.abort();
+        }
+    }
 
-            // Add an event listener to call the function when the button is clicked
-            thiz.addCodeBlockButton.onclick = function () {
-                thiz.setupNewElement();
-                thiz.setupNewMonacoEditor();
-                thiz.addCodeBlockButton.disabled = true;
-            };  
+    /**
+     * Forget the conversation with the feedback service.
+     */
+    clearFeedback() {
+        this.cancelFeedback();
+        this.feedbackMessages = [];
+        this.saveFeedback();
+        this.clearOutputAreas(this.outputFeedbackDiv);
+        if (this.clearFeedbackButton) {
+            this.clearFeedbackButton.disabled = true;
         }
-    
+    }
 
-    setupNewMonacoEditor() {
-        // Retrieve the previously created document elements
-        this.runButton = document.getElementById(`qpyodide-button-run-${this.id}`);
-        this.resetButton = document.getElementById(`qpyodide-button-reset-${this.id}`);
-        this.copyButton = document.getElementById(`qpyodide-button-copy-${this.id}`);
-        this.feedbackButton = document.getElementById(`qpyodide-button-feedback-${this.id}`);
-        this.readOnlyLabel = document.getElementById(`qpyodide-readonly-label-${this.id}`);
-        this.editorDiv = document.getElementById(`qpyodide-editor-${this.id}`);
-        this.outputCodeDiv2 = document.getElementById(`qpyodide-output-code-area-${this.id}`);
-        this.outputFeedbackDiv2 = document.getElementById(`qpyodide-output-feedback-area-${this.id}`);
-        this.outputGraphDiv2 = document.getElementById(`qpyodide-output-graph-area-${this.id}`);
-        
-        // Store reference to the object
-        var thiz = this;
+    /**
+     * Build the feedback area: the conversation, a status line with a Cancel
+     * button, and a field for follow-up questions.
+     */
+    async renderFeedbackThread() {
+        // Clear the existing feedback in the outputFeedbackDiv
+        this.outputFeedbackDiv.innerHTML = "";
+
+        // Create the inner div element for the feedback header 
+        const feedbackHeaderDiv = document.createElement("div");
+        feedbackHeaderDiv.className = "qpyodide-feedback-label";
+        feedbackHeaderDiv.innerHTML = "AI-Feedback:";
+        feedbackHeaderDiv.style.textDecoration = "underline";
+        feedbackHeaderDiv.style.marginBottom = "20px";
+        feedbackHeaderDiv.style.fontSize = "large";
+
+        // Create the div holding the messages of the conversation
+        const feedbackThreadDiv = document.createElement("div");
+        feedbackThreadDiv.className = "qpyodide-feedback-thread";
+
+        // Create the status line shown while the service is answering
+        const feedbackStatusDiv = document.createElement("div");
+        feedbackStatusDiv.className = "qpyodide-feedback-status";
+        feedbackStatusDiv.setAttribute("aria-live", "polite");
+        feedbackStatusDiv.hidden = true;
+
+        const feedbackStatusText = document.createElement("span");
+
+        // Create Cancel button
+        const cancelButton = document.createElement("button");
+        cancelButton.className = "btn btn-light btn-xs qpyodide-button qpyodide-button-cancel-feedback";
+        cancelButton.type = "button";
+        cancelButton.title = "Stop the feedback";
+        cancelButton.textContent = "Cancel";
+        cancelButton.onclick = () => this.cancelFeedback();
+
+        feedbackStatusDiv.appendChild(feedbackStatusText);
+        feedbackStatusDiv.appendChild(cancelButton);
+
+        // Create the field for follow-up questions
+        const questionForm = document.createElement("form");
+        questionForm.className = "qpyodide-feedback-question";
+
+        const questionInput = document.createElement("textarea");
+        questionInput.className = "form-control qpyodide-feedback-question-input";
+        questionInput.rows = 1;
+        questionInput.placeholder = "Ask a follow-up question (Enter to send)";
+        questionInput.setAttribute("aria-label", "Follow-up question about the feedback");
+
+        const askButton = document.createElement("button");
+        askButton.className = "btn btn-default qpyodide-button qpyodide-button-ask";
+        askButton.type = "submit";
+        askButton.textContent = "Ask";
+
+        questionForm.appendChild(questionInput);
+        questionForm.appendChild(askButton);
+
+        // The offline review cannot answer questions
+        questionForm.hidden = this.feedbackMessages.some((message) => message.offline);
+
+        questionForm.onsubmit = (event) => {
+            event.preventDefault();
+            const question = questionInput.value;
+            questionInput.value = "";
+            this.askFeedbackQuestion(question);
+        };
 
-        thiz.editorDiv.parentElement.previousElementSibling.style.backgroundColor = "#bdecb6";
-        thiz.readOnlyLabel.textContent = "Editable";
+        // Send with Enter, keep Shift+Enter for new lines
+        questionInput.onkeydown = (event) => {
+            if (event.key === "Enter" && !event.shiftKey) {
+                event.preventDefault();
+                questionForm.requestSubmit();
+            }
+        };
 
-        // Load the Monaco Editor and create an instance
-        require(['vs/editor/editor.main'], function () {
-            thiz.newEditor = monaco.editor.create(
-                thiz.editorDiv, {
-                    value: "",
-                    language: 'python',
-                    theme: 'vs-light',
-                    automaticLayout: true,           // Works wonderfully with RevealJS
-                    scrollBeyondLastLine: false,
-                    minimap: {
-                        enabled: false
-                    },
-                    fontSize: '17.5pt',              // Bootstrap is 1 rem
-                    renderLineHighlight: "none",     // Disable current line highlighting
-                    hideCursorInOverviewRuler: true,  // Remove cursor indictor in right hand side scroll bar
-                    readOnly: false
-                }
-            );
-        
-            // Store the official counter ID to be used in keyboard shortcuts
-            thiz.newEditor.__qpyodideCounter = thiz.id;
-        
-            // Store the official div container ID
-            thiz.newEditor.__qpyodideEditorId = `qpyodide-editor-${thiz.id}`;
-        
-            // Store the initial code value and options
-            thiz.newEditor.__qpyodideinitialCode = "";
-            thiz.newEditor.__qpyodideOptions = thiz.options;
-        
-            // Set at the model level the preferred end of line (EOL) character to LF.
-            // This prevent `\r\n` from being given to the Pyodide engine if the user is on Windows.
-            // See details in: https://github.com/coatless/quarto-Pyodide/issues/94
-            // Associated error text: 
-            // Error: <text>:1:7 unexpected input
-        
-            // Retrieve the underlying model
-            const model = thiz.newEditor.getModel();
-            // Set EOL for the model
-            model.setEOL(monaco.editor.EndOfLineSequence.LF);
-        
-            // Dynamically modify the height of the editor window if new lines are added.
-            let ignoreEvent = false;
-            const updateHeight = () => {
-            const contentHeight = thiz.newEditor.getContentHeight();
-            // We're avoiding a width change
-            //editorDiv.style.width = `${width}px`;
-            thiz.editorDiv.style.height = `${contentHeight}px`;
-                try {
-                    ignoreEvent = true;
-            
-                    // The key to resizing is this call
-                    thiz.newEditor.layout();
-                } finally {
-                    ignoreEvent = false;
-                }
-            };
-        
-            // Helper function to check if selected text is empty
-            function isEmptyCodeText(selectedCodeText) {
-                return (selectedCodeText === null || selectedCodeText === undefined || selectedCodeText === "");
+        this.outputFeedbackDiv.appendChild(feedbackHeaderDiv);
+        this.outputFeedbackDiv.appendChild(feedbackThreadDiv);
+        this.outputFeedbackDiv.appendChild(feedbackStatusDiv);
+        this.outputFeedbackDiv.appendChild(questionForm);
+        this.outputFeedbackDiv.classList.add('has-content');
+
+        this.feedbackThreadDiv = feedbackThreadDiv;
+        this.feedbackStatusDiv = feedbackStatusDiv;
+        this.feedbackStatusText = feedbackStatusText;
+        this.feedbackCancelButton = cancelButton;
+        this.feedbackAskButton = askButton;
+
+        for (const message of this.feedbackMessages) {
+            await this.appendFeedbackMessage(message);
+        }
+
+        if (this.clearFeedbackButton) {
+            this.clearFeedbackButton.disabled = false;
+        }
+    }
+
+    /**
+     * Add a message to the conversation shown below the editor.
+     * @param {{role: string, content: string, context: ?boolean}} message - Message to show.
+     * @returns {Promise<?HTMLElement>} Element holding the text of the message.
+     */
+    async appendFeedbackMessage(message) {
+        // The instructions and the code sent as context are not shown
+        if (message.role === "system" || message.context) return null;
+
+        const messageDiv = document.createElement("div");
+        messageDiv.className = `qpyodide-feedback-message qpyodide-feedback-${message.role}`;
+
+        const messageBody = document.createElement("div");
+        messageBody.className = "qpyodide-feedback-body";
+        messageDiv.appendChild(messageBody);
+
+        this.feedbackThreadDiv.appendChild(messageDiv);
+
+        if (message.role === "user") {
+            messageBody.innerText = message.content;
+        } else {
+            await qpyodideRenderFeedback(messageBody, message.content, true);
+        }
+        return messageBody;
+    }
+
+    /**
+     * Show what the feedback service is doing below the conversation.
+     * @param {?string} message - Text to show, or null to hide the status line.
+     * @param {boolean} working - Show a spinner and the Cancel button.
+     */
+    showFeedbackStatus(message, working = false) {
+        this.feedbackStatusDiv.hidden = !message;
+        this.feedbackStatusText.innerHTML = working ?
+            `<i class="fa-solid fa-spinner fa-spin"></i> ${message}` : "";
+        if (!working && message) {
+            this.feedbackStatusText.innerText = message;
+        }
+        this.feedbackCancelButton.hidden = !working;
+    }
+
+    /**
+     * Prevent new requests while the feedback service is answering.
+     * @param {boolean} busy - Whether a request is in progress.
+     */
+    setFeedbackBusy(busy) {
+        if (this.feedbackButton) {
+            this.feedbackButton.disabled = busy;
+        }
+        this.feedbackAskButton.disabled = busy;
+    }
+
+    /**
+     * Key under which the conversation with the feedback service is saved.
+     * @returns {?string} Key combining the page path with the cell label or id.
+     */
+    feedbackStorageKey() {
+        return `qpyodide-feedback:${window.location.pathname}:${this.options.label || this.id}`;
+    }
+
+    /**
+     * Key under which the conversation about an added code block is saved.
+     * @param {number} index - Position of the code block below the cell.
+     * @returns {string} Key of the cell followed by the position of the block.
+     */
+    scratchFeedbackStorageKey(index) {
+        return `${this.feedbackStorageKey()}:scratch-${index}`;
+    }
+
+    /**
+     * Save the conversation with the feedback service.
+     */
+    saveFeedback() {
+        const key = this.feedbackStorageKey();
+        if (!key) return;
+
+        try {
+            if (this.feedbackMessages.length === 0) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify(this.feedbackMessages));
             }
-        
-            // Registry of keyboard shortcuts that should be re-added to each editor window
-            // when focus changes.
-            const addPyodideKeyboardShortCutCommands = () => {
-            // Add a keydown event listener for Shift+Enter to run all code in cell
-            thiz.newEditor.addCommand(monaco.KeyMod.Shift | monaco.KeyCode.Enter, () => {
-                // Retrieve all text inside the editor
-                thiz.runCodeNE(thiz.newEditor.getValue());
-                thiz.outputCodeDiv2.classList.add('has-content');
-            });
-        
-            // Add a keydown event listener for CMD/Ctrl+Enter to run selected code
-            thiz.newEditor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, () => {
-                    // Get the selected text from the editor
-                    const selectedText = thiz.newEditor.getModel().getValueInRange(thiz.newEditor.getSelection());
-                    // Check if no code is selected
-                    if (isEmptyCodeText(selectedText)) {
-                        // Obtain the current cursor position
-                        let currentPosition = thiz.newEditor.getPosition();
-                        // Retrieve the current line content
-                        let currentLine = thiz.newEditor.getModel().getLineContent(currentPosition.lineNumber);
-                
-                        // Propose a new position to move the cursor to
-                        let newPosition = new monaco.Position(currentPosition.lineNumber + 1, 1);
-                
-                        // Check if the new position is beyond the last line of the editor
-                        if (newPosition.lineNumber > thiz.newEditor.getModel().getLineCount()) {
-                            // Add a new line at the end of the editor
-                            thiz.newEditor.executeEdits("addNewLine", [{
-                            range: new monaco.Range(newPosition.lineNumber, 1, newPosition.lineNumber, 1),
-                            text: "\n", 
-                            forceMoveMarkers: true,
-                            }]);
-                        }
-                        
-                        // Run the entire line of code.
-                        thiz.runCodeNE(currentLine);
-                
-                        // Move cursor to new position
-                        thiz.newEditor.setPosition(newPosition);
-                    } else {
-                        // Code to run when Ctrl+Enter is pressed with selected code
-                        thiz.runCodeNE(selectedText);
-                    }
-                    thiz.outputCodeDiv2.classList.add('has-content');
-                });
+        } catch (err) {
+            console.warn("Unable to save the feedback of cell", this.id, err);
+        }
+    }
+
+    /**
+     * Show the conversation saved during an earlier visit.
+     */
+    restoreFeedback() {
+        const key = this.feedbackStorageKey();
+        if (!key || !this.outputFeedbackDiv) return;
+
+        try {
+            this.feedbackMessages = JSON.parse(localStorage.getItem(key)) ?? [];
+        } catch (err) {
+            // Storage can be unavailable, e.g. in private browsing
+            return;
+        }
+
+        if (this.feedbackMessages.length > 0) {
+            this.renderFeedbackThread();
+        }
+    }
+
+    /**
+     * Gather the editor code, and that of the added code blocks, with their outputs.
+     * @returns {{code: string, text: string, figures: string[]}[]} Code with its current output.
+     */
+    exportCells() {
+        const entries = [{
+            code: this.editor ? this.editor.getValue() : this.code,
+            ...this.collectOutputs(this.outputCodeDiv, this.outputGraphDiv)
+        }];
+
+        this.scratchCells.forEach((scratchCell) => {
+            entries.push(...scratchCell.exportCells());
+        });
+
+        return entries;
+    }
+
+    /**
+     * Add a code block below the cell.
+     * @param {string} code - Code the new block starts with.
+     * @param {?ScratchCell} after - Block to insert after, otherwise it goes last.
+     * @returns {ScratchCell} The new code block.
+     */
+    addScratchCell(code = "", after = null) {
+        const scratchCell = new ScratchCell(this, `${this.id}-scratch-${++this.scratchCounter}`, code);
+
+        const index = after ? this.scratchCells.indexOf(after) + 1 : this.scratchCells.length;
+        this.scratchCells.splice(index, 0, scratchCell);
+
+        this.arrangeScratchCells();
+        this.saveScratchCells();
+        return scratchCell;
+    }
+
+    /**
+     * Delete a code block added below the cell.
+     * @param {ScratchCell} scratchCell - Block to delete.
+     */
+    removeScratchCell(scratchCell) {
+        this.scratchCells = this.scratchCells.filter((cell) => cell !== scratchCell);
+        scratchCell.destroy();
+
+        this.arrangeScratchCells();
+        this.saveScratchCells();
+    }
+
+    /**
+     * Move a code block added below the cell up or down.
+     * @param {ScratchCell} scratchCell - Block to move.
+     * @param {number} offset - -1 to move it up, 1 to move it down.
+     */
+    moveScratchCell(scratchCell, offset) {
+        const index = this.scratchCells.indexOf(scratchCell);
+        const newIndex = index + offset;
+        if (newIndex < 0 || newIndex >= this.scratchCells.length) return;
+
+        this.scratchCells.splice(index, 1);
+        this.scratchCells.splice(newIndex, 0, scratchCell);
+
+        this.arrangeScratchCells();
+        this.saveScratchCells();
+    }
+
+    /**
+     * Put the added code blocks on the page in their current order.
+     */
+    arrangeScratchCells() {
+        this.scratchCells.forEach((scratchCell, index) => {
+            // Appending an element that is already present moves it to the end
+            this.scratchAreaDiv.appendChild(scratchCell.mainDiv);
+            scratchCell.moveUpButton.disabled = index === 0;
+            scratchCell.moveDownButton.disabled = index === this.scratchCells.length - 1;
+        });
+    }
+
+    /**
+     * Key under which the added code blocks are saved in localStorage.
+     * @returns {string} Key combining the page path with the cell label or id.
+     */
+    scratchStorageKey() {
+        return `qpyodide-scratch:${window.location.pathname}:${this.options.label || this.id}`;
+    }
+
+    /**
+     * Save the code of the added code blocks in their current order. Their
+     * conversations are saved by position too, so they follow the blocks.
+     */
+    saveScratchCells() {
+        const codes = this.scratchCells.map((scratchCell) =>
+            scratchCell.editor ? scratchCell.editor.getValue() : scratchCell.code
+        );
+
+        try {
+            if (codes.length === 0) {
+                localStorage.removeItem(this.scratchStorageKey());
+            } else {
+                localStorage.setItem(this.scratchStorageKey(), JSON.stringify(codes));
             }
-        
-            // Register an on focus event handler for when a code cell is selected to update
-            // what keyboard shortcut commands should work.
-            // This is a workaround to fix a regression that happened with multiple
-            // editor windows since Monaco 0.32.0 
-            // https://github.com/microsoft/monaco-editor/issues/2947
-            thiz.newEditor.onDidFocusEditorText(addPyodideKeyboardShortCutCommands);
-        
-            // Register an on change event for when new code is added to the editor window
-            thiz.newEditor.onDidContentSizeChange(updateHeight);
-        
-            // Manually re-update height to account for the content we inserted into the call
-            updateHeight();
-                
+            // A deleted block leaves the last position empty
+            localStorage.removeItem(this.scratchFeedbackStorageKey(codes.length));
+        } catch (err) {
+            console.warn("Unable to save the code blocks added to cell", this.id, err);
+        }
+
+        this.scratchCells.forEach((scratchCell) => scratchCell.saveFeedback());
+    }
+
+    /**
+     * Bring back the code blocks added during an earlier visit.
+     */
+    restoreScratchCells() {
+        if (!this.scratchAreaDiv) return;
+
+        let codes = [];
+        try {
+            codes = JSON.parse(localStorage.getItem(this.scratchStorageKey())) ?? [];
+        } catch (err) {
+            // Storage can be unavailable, e.g. in private browsing
+            return;
+        }
+
+        codes.forEach((code) => {
+            const scratchCell = new ScratchCell(this, `${this.id}-scratch-${++this.scratchCounter}`, code);
+            this.scratchCells.push(scratchCell);
+            scratchCell.restoreFeedback();
         });
+        this.arrangeScratchCells();
+    }
 
-        
-        // Add a click event listener to the run button
-        thiz.runButton.onclick = function () {
-            thiz.runCodeNE(
-                thiz.newEditor.getValue()
-            );
-            thiz.outputCodeDiv2.classList.add('has-content');
+    /**
+     * Show the next hint below the toolbar and unlock the one after it.
+     * @param {number} index - Position of the hint in the list of hints.
+     */
+    revealHint(index) {
+        const hintDiv = document.createElement('div');
+        hintDiv.className = 'qpyodide-hint';
+
+        const hintTitle = document.createElement('strong');
+        hintTitle.innerText = `Hint ${index + 1}`;
+
+        const hintText = document.createElement('pre');
+        hintText.innerText = this.hints[index];
+
+        hintDiv.appendChild(hintTitle);
+        hintDiv.appendChild(hintText);
+        this.hintAreaDiv.appendChild(hintDiv);
+        this.hintAreaDiv.classList.add('has-content');
+
+        this.hintButtons[index].disabled = true;
+        if (index + 1 < this.hintButtons.length) {
+            this.hintButtons[index + 1].disabled = false;
+        }
+    }
+
+    /**
+     * Swap the solution into the editor, keeping the student's attempt aside.
+     */
+    showSolution() {
+        this.studentAttempt = this.editor.getValue();
+        this.editor.setValue(this.solution);
+        this.solutionButton.textContent = 'Back to my code';
+        this.solutionButton.title = 'Put your own code back in the editor';
+    }
+
+    /**
+     * Leave the solution view.
+     * @param {boolean} restoreAttempt - Put the student's attempt back in the editor.
+     */
+    hideSolution(restoreAttempt = true) {
+        if (this.studentAttempt === null) return;
+
+        const attempt = this.studentAttempt;
+        this.studentAttempt = null;
+        if (restoreAttempt) {
+            this.editor.setValue(attempt);
+        }
+
+        this.solutionButton.textContent = 'Show solution';
+        this.solutionButton.title = 'Show the solution in the editor';
+    }
+
+    /**
+     * Put the code the cell started with back in the editor.
+     */
+    resetCode() {
+        this.editor.setValue(this.editor.__qpyodideinitialCode);
+    }
+
+    /**
+     * Key under which the editor contents are saved in localStorage.
+     * @returns {string} Key combining the page path with the cell label or id.
+     */
+    storageKey() {
+        return `qpyodide-code:${window.location.pathname}:${this.options.label || this.id}`;
+    }
+
+    /**
+     * Replace the editor contents with the code saved during an earlier visit.
+     */
+    restoreSavedCode() {
+        if (this.options['read-only'] == "true") return;
+
+        let savedCode = null;
+        try {
+            savedCode = localStorage.getItem(this.storageKey());
+        } catch (err) {
+            // Storage can be unavailable, e.g. in private browsing
+            return;
+        }
+
+        if (savedCode === null || savedCode === this.editor.__qpyodideinitialCode) return;
+
+        this.editor.setValue(savedCode);
+        this.restoredIndicator.hidden = false;
+    }
+
+    /**
+     * Save the editor contents shortly after the last keystroke.
+     */
+    scheduleSaveCode() {
+        clearTimeout(this.saveCodeTimeout);
+        this.saveCodeTimeout = setTimeout(() => this.saveCode(), 500);
+    }
+
+    /**
+     * Save the editor contents, forgetting them once they match the original code.
+     */
+    saveCode() {
+        if (this.options['read-only'] == "true") return;
+
+        // The solution is not the student's work, so it is never saved
+        if (this.studentAttempt !== null) return;
+
+        const code = this.editor.getValue();
+        try {
+            if (code === this.editor.__qpyodideinitialCode) {
+                localStorage.removeItem(this.storageKey());
+            } else {
+                localStorage.setItem(this.storageKey(), code);
+            }
+        } catch (err) {
+            console.warn("Unable to save the code of cell", this.id, err);
+        }
+    }
+
+    /**
+     * Check the editor contents shortly after the last keystroke.
+     */
+    scheduleLint() {
+        this.lintRequested = true;
+        clearTimeout(this.lintTimeout);
+        this.lintTimeout = setTimeout(() => this.lintCode(), 600);
+    }
+
+    /**
+     * Tell whether the editor should be checked again after the namespace changed.
+     * @param {boolean} onlyStale - Only when the code changed since the last check
+     * or used names that were undefined then, which a run may have defined.
+     * @returns {boolean} Whether to check the editor.
+     */
+    needsLint(onlyStale) {
+        if (!this.editor || !this.lintRequested) return false;
+        if (!onlyStale || !this.lintResult) return true;
+
+        return this.lintResult.version !== this.editor.getModel().getVersionId() ||
+            this.lintResult.usesUndefinedNames;
+    }
+
+    /**
+     * Underline syntax errors, undefined names, and unused imports in the editor.
+     * Names are looked up in the live namespace, so variables from cells that
+     * already ran are known.
+     */
+    async lintCode() {
+        // Students cannot change read-only code, so it is not checked
+        if (!this.editor || this.options['read-only'] == "true") return;
+
+        const model = this.editor.getModel();
+        const version = model.getVersionId();
+
+        let diagnostics;
+        try {
+            await qpyodideInstance;
+            diagnostics = await mainPyodide.lintCode(model.getValue());
+        } catch (err) {
+            // e.g. the interpreter restarted; the next edit checks again
+            return;
+        }
+
+        // The code changed while it was checked, so a newer check is on its way
+        if (model.isDisposed() || model.getVersionId() !== version) return;
+
+        // pyflakes only reports undefined names as errors
+        this.lintResult = {
+            version,
+            usesUndefinedNames: diagnostics.some(
+                (diagnostic) => diagnostic.source === "pyflakes" && diagnostic.severity === "error"
+            )
         };
-        
-        // Add a click event listener to the copy button
-        thiz.copyButton.onclick = function () {
-            // Retrieve current code data
-            const data = thiz.newEditor.getValue();
-            
-            // Write code data onto the clipboard.
-            navigator.clipboard.writeText(data || "");
+
+        const severities = {
+            error: monaco.MarkerSeverity.Error,
+            warning: monaco.MarkerSeverity.Warning
         };
+        const lastLine = model.getLineCount();
+        const markers = diagnostics.map((diagnostic) => {
+            const line = Math.min(diagnostic.line, lastLine);
+            const endLine = Math.min(diagnostic.end_line, lastLine);
+            return {
+                severity: severities[diagnostic.severity],
+                source: diagnostic.source,
+                message: diagnostic.message,
+                startLineNumber: line,
+                startColumn: diagnostic.column,
+                endLineNumber: endLine,
+                endColumn: diagnostic.end_column ?? model.getLineMaxColumn(endLine),
+                tags: diagnostic.unnecessary ? [monaco.MarkerTag.Unnecessary] : []
+            };
+        });
+        monaco.editor.setModelMarkers(model, "qpyodide-lint", markers);
+    }
+
+    /**
+     * Remove the results of the cell and of its added code blocks.
+     */
+    clearOutput() {
+        this.cancelFeedback();
+        this.clearErrorLine();
+        this.clearOutputAreas(this.outputCodeDiv, this.outputGraphDiv);
+        this.scratchCells.forEach((scratchCell) => scratchCell.clearOutput());
+    }
+
+    /**
+     * Execute the cell's code if it is marked with `autorun: true`.
+     */
+    async autoRunExecuteCode() {
+        if (!this.isAutoRun()) return;
+
+        // The editor may still be loading, so fall back to the original code
+        const code = this.editor ? this.editor.getValue() : this.code;
+
+        // Runs the student did not start are left out of the course progress
+        this.isAutoRunning = true;
+        try {
+            await this.runCode(code);
+        } finally {
+            this.isAutoRunning = false;
+        }
+    }
+
+    /**
+     * Execute the Python code inside the editor.
+     * @param {string} code - Python code to run.
+     * @param {number} firstLine - Editor line the code starts on, e.g. for Ctrl+Enter runs.
+     */
+    async runCode(code, firstLine = 1) {
+        await this.runCodeInArea(code, this.outputCodeDiv, this.outputGraphDiv, null, firstLine);
+    }
+
+    /**
+     * Execute Python code in the worker and place its results on the page.
+     * @param {string} code - Python code to run.
+     * @param {HTMLElement} outputCodeDiv - Area receiving text output.
+     * @param {HTMLElement} outputGraphDiv - Area receiving figures.
+     * @param {?Function} afterEvaluation - Called with the evaluation before other cells are unlocked.
+     * @param {number} firstLine - Editor line the code starts on.
+     */
+    async runCodeInArea(code, outputCodeDiv, outputGraphDiv, afterEvaluation = null, firstLine = 1) {
         
-        // Add a click event listener to the reset button
-        thiz.resetButton.onclick = function () {
-            thiz.newEditor.setValue(thiz.newEditor.__qpyodideinitialCode);
-            if(thiz.outputFeedbackDiv2.classList.contains('has-content')){
-                thiz.outputFeedbackDiv2.innerHTML = "";
+        // Only one run at a time on the page
+        if (!this.disableInteractiveCells()) return;
+        this.clearErrorLine();
+
+        // Allow the running code to be interrupted
+        const stopButton = this.stopButton;
+        stopButton.disabled = false;
+
+        const stopStreaming = this.streamOutput(outputCodeDiv);
+        const evaluation = await this.evaluateCode(code, firstLine);
+        const streamed = stopStreaming();
+
+        this.displayResults(
+            evaluation.result, evaluation.figures, outputCodeDiv, outputGraphDiv, evaluation.displays
+        );
+        this.showErrorLine(evaluation.error, outputCodeDiv);
+
+        // Keep the end of long streamed output in view
+        const outputPre = outputCodeDiv.querySelector("pre");
+        if (streamed && outputPre) {
+            outputPre.scrollTop = outputPre.scrollHeight;
+        }
+
+        if (!this.isAutoRunning) {
+            this.recordRun();
+        }
+
+        if (afterEvaluation) {
+            await afterEvaluation(evaluation);
+        }
+
+        stopButton.disabled = true;
+
+        // Re-enable execution
+        this.enableInteractiveCells();
+
+        // The run may have defined names that other editors refer to
+        qpyodideCellContainer.lintAllCells(true);
+    }
+
+    /**
+     * Show the text printed by the running code as it arrives. The earlier
+     * output stays until the first line is printed.
+     * @param {HTMLElement} outputCodeDiv - Area receiving text output.
+     * @returns {Function} Stops the live output and tells whether anything was printed.
+     */
+    streamOutput(outputCodeDiv) {
+        const pre = document.createElement("pre");
+        const div = document.createElement("div");
+        pre.appendChild(div);
+
+        // Messages arriving between two frames are added to the page together
+        let pending = [];
+        let frame = null;
+        let streamed = false;
+
+        // Messages on the page with their line counts, oldest first
+        const entries = [];
+        let lineCount = 0;
+        let droppedCount = 0;
+        let droppedNote = null;
+
+        const render = () => {
+            frame = null;
+            if (!streamed) {
+                outputCodeDiv.innerHTML = "";
+                outputCodeDiv.appendChild(pre);
+                outputCodeDiv.classList.add('has-content');
+                streamed = true;
+            }
+
+            // Follow new lines unless the student scrolled up to read
+            const following = pre.scrollHeight - pre.scrollTop - pre.clientHeight < 20;
+
+            pending.forEach(({ message, lines }) => {
+                const template = document.createElement("template");
+                template.innerHTML = message;
+                const nodes = [...template.content.childNodes];
+                if (entries.length > 0) {
+                    nodes.unshift(document.createTextNode("\n"));
+                }
+                nodes.forEach((node) => div.appendChild(node));
+                entries.push({ nodes, lines });
+                lineCount += lines;
+            });
+            pending = [];
+
+            // Keep the page light when a loop prints every step
+            while (lineCount > qpyodideMaxOutputLines && entries.length > 1) {
+                const oldest = entries.shift();
+                oldest.nodes.forEach((node) => node.remove());
+                lineCount -= oldest.lines;
+                droppedCount += oldest.lines;
+
+                // The new first message needs no line break before it
+                if (entries[0].nodes[0].nodeType === Node.TEXT_NODE) {
+                    entries[0].nodes.shift().remove();
+                }
             }
-            if(thiz.outputCodeDiv2.classList.contains('has-content')){
-                thiz.outputCodeDiv2.innerHTML = "";
+            if (droppedCount > 0) {
+                const template = document.createElement("template");
+                template.innerHTML = qpyodideFormatDroppedLines(droppedCount);
+                const note = template.content.firstChild;
+                if (droppedNote) {
+                    droppedNote.replaceWith(note);
+                } else {
+                    div.prepend(note, document.createTextNode("\n"));
+                }
+                droppedNote = note;
             }
-            if(thiz.outputGraphDiv2.classList.contains('has-content')){
-                thiz.outputGraphDiv2.innerHTML = "";
+
+            if (following) {
+                pre.scrollTop = pre.scrollHeight;
             }
         };
 
-        
+        qpyodideSetOutputListener((message, type, lines) => {
+            pending.push({ message, lines });
+            frame ??= requestAnimationFrame(render);
+        });
 
-        
+        return () => {
+            qpyodideSetOutputListener(null);
+            if (frame !== null) {
+                cancelAnimationFrame(frame);
+            }
+            return streamed || pending.length > 0;
+        };
+    }
 
-        thiz.feedbackButton.onclick = async function () {
-            const system_prompt = "You are an AI Assistant, specialized in coding issues. You give concise answers, without asking further questions.";
-            const prompt1 = "Review the following Python code for errors and provide feedback. The code output, including any syntax errors, will be provided for detailed analysis. This is the source code of the user:\n"; 
-            const prompt2 = "Your feedback should highlight both the strengths of the code and any potential errors, providing explanations where necessary. While you may offer tips for improvement, avoid providing exact code solutions. Focus on guiding the user towards better practices and understanding. Structure the feedback like this: Syntax errors: \n Strengths of the code: \n Potential improvements:\n ";    
-            // Retrieve current code data  
-            const data = thiz.newEditor.getValue();
-            
+    /**
+     * Write a Python error as HTML, with links to the editor lines it mentions.
+     * @param {{message: string, traceback: ?string}} error - Error reported by the worker.
+     * @returns {string} Escaped traceback with line links.
+     */
+    formatError(error) {
+        return super.formatError(error).replace(
+            /^  line (\d+)/gm,
+            '  <a href="#" class="qpyodide-error-line-link" data-line="$1">line $1</a>'
+        );
+    }
 
-            let runtime_message;
-            try {
-                // Check if we have an execution lock
-                if (thiz.executeLock) return; 
-                
-                thiz.disableInteractiveCells();
+    /**
+     * Highlight the editor line where the error was raised and make the line
+     * links of the traceback move the cursor.
+     * @param {?Object} error - Error of the last run, if any.
+     * @param {HTMLElement} outputCodeDiv - Area showing the traceback.
+     */
+    showErrorLine(error, outputCodeDiv) {
+        outputCodeDiv.querySelectorAll(".qpyodide-error-line-link").forEach((link) => {
+            link.onclick = (event) => {
+                event.preventDefault();
+                this.jumpToLine(Number(link.dataset.line));
+            };
+        });
 
-                // Force wait procedure
-                await mainPyodide;
+        if (!error || !error.line || !this.editor) return;
 
-                // Clear the output stock
-                qpyodideResetOutputArray();
+        const line = Math.min(error.line, this.editor.getModel().getLineCount());
+        this.errorLineDecorations = this.editor.createDecorationsCollection([{
+            range: new monaco.Range(line, 1, line, 1),
+            options: {
+                isWholeLine: true,
+                className: "qpyodide-error-line",
+                linesDecorationsClassName: "qpyodide-error-line-margin"
+            }
+        }]);
+    }
 
-                // Obtain results from the base class
-                try {
-                    // Always check to see if the user adds new packages
-                    await mainPyodide.loadPackagesFromImports(data);
-
-                    // Process result
-                    const output = await mainPyodide.runPythonAsync(data);
-
-                    // Add output
-                    qpyodideAddToOutputArray(output, "stdout");
-                } catch (err) {
-                    // Add error message
-                    qpyodideAddToOutputArray(err, "stderr");
-                    // TODO: There has to be a way to remove the Pyodide portion of the errors... 
-                }
+    /**
+     * Remove the highlight of the last error from the editor.
+     */
+    clearErrorLine() {
+        if (this.errorLineDecorations) {
+            this.errorLineDecorations.clear();
+            this.errorLineDecorations = null;
+        }
+    }
+
+    /**
+     * Move the cursor to the start of a line and show it.
+     * @param {number} line - Editor line to jump to.
+     */
+    jumpToLine(line) {
+        if (!this.editor) return;
+
+        this.editor.setPosition({ lineNumber: line, column: 1 });
+        this.editor.revealLineInCenterIfOutsideViewport(line);
+        this.editor.focus();
+    }
+
+    /**
+     * Count a run started by the student towards the course progress.
+     */
+    recordRun() {
+        qpyodideRecordCellRun(this);
+    }
+
+    
+};
+
+/**
+ * ScratchCell class for the code blocks a student adds below an interactive cell.
+ * Each block has its own editor, output, and buttons, and can be moved or deleted.
+ * @class
+ * @extends InteractiveCell
+ */
+class ScratchCell extends InteractiveCell {
+
+    /**
+     * Constructor for ScratchCell.
+     * @constructor
+     * @param {InteractiveCell} parentCell - Cell the code block was added to.
+     * @param {string} id - Unique identifier of the code block.
+     * @param {string} code - Code the block starts with.
+     */
+    constructor(parentCell, id, code) {
+        super({
+            code,
+            id,
+            options: { ...parentCell.options, label: "", 'read-only': "false", autorun: "false" },
+            insertionLocation: parentCell.scratchAreaDiv,
+            // The feedback assistant sees the exercise text of the cell
+            markdown: parentCell.markdown
+        });
+        this.parentCell = parentCell;
+
+        // Match the run button of the cell, which may still be waiting on Pyodide
+        this.runButton.innerHTML = parentCell.runButton.innerHTML;
+        this.runButton.disabled = parentCell.runButton.disabled;
+        if (this.feedbackButton) {
+            this.feedbackButton.disabled = parentCell.runButton.disabled;
+        }
+    }
+
+    /**
+     * Set up the elements of the code block
+     */
+    setupElement() {
+
+        // Create main div element
+        var mainDiv = document.createElement('div');
+        mainDiv.id = `qpyodide-interactive-area-${this.id}`;
+        mainDiv.className = `qpyodide-interactive-area qpyodide-scratch-cell`;
+        if (this.options.classes) {
+            mainDiv.className += " " + this.options.classes
+        }
+
+        // Create toolbar div
+        var toolbarDiv = document.createElement('div');
+        toolbarDiv.className = 'qpyodide-editor-toolbar';
+        toolbarDiv.id = `qpyodide-editor-toolbar-${this.id}`;
+
+        // Create a div to hold the left buttons
+        var leftButtonsDiv = document.createElement('div');
+        leftButtonsDiv.className = 'qpyodide-editor-toolbar-left-buttons';
+
+        // Create a div for middle label
+        var middleToolBarDiv = document.createElement('div');
+        middleToolBarDiv.className = 'qpyodide-editor-toolbar-middle';
+
+        // Create a div to hold the right buttons
+        var rightButtonsDiv = document.createElement('div');
+        rightButtonsDiv.className = 'qpyodide-editor-toolbar-right-buttons';
+
+        // Create Run Code button
+        var runCodeButton = document.createElement('button');
+        runCodeButton.className = 'btn btn-default qpyodide-button qpyodide-button-run';
+        runCodeButton.disabled = true;
+        runCodeButton.type = 'button';
+        runCodeButton.id = `qpyodide-button-run-${this.id}`;
+        runCodeButton.textContent = '🟡 Loading Pyodide...';
+        runCodeButton.title = `Run code (Shift + Enter)`;
+
+        // Create Stop button
+        var stopButton = document.createElement('button');
+        stopButton.className = 'btn btn-default qpyodide-button qpyodide-button-stop';
+        stopButton.disabled = true;
+        stopButton.type = 'button';
+        stopButton.id = `qpyodide-button-stop-${this.id}`;
+        stopButton.title = qpyodideStopButtonTitle;
+        stopButton.innerHTML = '<i class="fa-solid fa-stop qpyodide-icon-stop-code"></i> <span>Stop</span>';
+
+        // Append buttons to the leftButtonsDiv
+        leftButtonsDiv.appendChild(runCodeButton);
+        leftButtonsDiv.appendChild(stopButton);
+
+        // Create Read Only Label
+        var readOnlyLabel = document.createElement('label');
+        readOnlyLabel.className = 'qpyodide-label qpyodide-readonly-label';
+        readOnlyLabel.type = 'label';
+        readOnlyLabel.id = `qpyodide-readonly-label-${this.id}`;
+        readOnlyLabel.textContent = "Editable";
+        readOnlyLabel.title = `Read Only`;
+
+        // Append label to middleToolBar
+        middleToolBarDiv.appendChild(readOnlyLabel);
+
+        // Create Move up and Move down buttons
+        var moveUpButton = document.createElement('button');
+        moveUpButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-move-up';
+        moveUpButton.type = 'button';
+        moveUpButton.id = `qpyodide-button-move-up-${this.id}`;
+        moveUpButton.title = 'Move code block up';
+        moveUpButton.innerHTML = '<i class="fa-solid fa-arrow-up"></i>';
+
+        var moveDownButton = document.createElement('button');
+        moveDownButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-move-down';
+        moveDownButton.type = 'button';
+        moveDownButton.id = `qpyodide-button-move-down-${this.id}`;
+        moveDownButton.title = 'Move code block down';
+        moveDownButton.innerHTML = '<i class="fa-solid fa-arrow-down"></i>';
+
+        // Create Add below button
+        var addBelowButton = document.createElement('button');
+        addBelowButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-add-below';
+        addBelowButton.type = 'button';
+        addBelowButton.id = `qpyodide-button-add-below-${this.id}`;
+        addBelowButton.title = 'Add a code block below';
+        addBelowButton.innerHTML = '<i class="fa-solid fa-plus"></i>';
+
+        // Create Reset button
+        var resetButton = document.createElement('button');
+        resetButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-reset';
+        resetButton.type = 'button';
+        resetButton.id = `qpyodide-button-reset-${this.id}`;
+        resetButton.title = 'Start over';
+        resetButton.innerHTML = '<i class="fa-solid fa-arrows-rotate"></i>';
+
+        // Create Copy button
+        var copyButton = document.createElement('button');
+        copyButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-copy';
+        copyButton.type = 'button';
+        copyButton.id = `qpyodide-button-copy-${this.id}`;
+        copyButton.title = 'Copy code';
+        copyButton.innerHTML = '<i class="fa-regular fa-copy"></i>';
+
+        if (globalThis.feedback == true){
+            // Create Feedback button
+            var feedbackButton = document.createElement('button');
+            feedbackButton.className = 'btn  btn-default qpyodide-button qpyodide-button-feedback';
+            feedbackButton.disabled = true;
+            feedbackButton.type = 'button';
+            feedbackButton.id = `qpyodide-button-feedback-${this.id}`;
+            feedbackButton.title = 'Give feedback';
+            feedbackButton.textContent = "Feedback";
+
+            // Create Clear chat button
+            var clearFeedbackButton = document.createElement('button');
+            clearFeedbackButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-clear-feedback';
+            clearFeedbackButton.disabled = true;
+            clearFeedbackButton.type = 'button';
+            clearFeedbackButton.id = `qpyodide-button-clear-feedback-${this.id}`;
+            clearFeedbackButton.title = 'Clear the conversation with the feedback assistant';
+            clearFeedbackButton.innerHTML = '<i class="fa-solid fa-comment-slash"></i>';
+        }
+
+        // Create Delete button
+        var deleteButton = document.createElement('button');
+        deleteButton.className = 'btn btn-light btn-xs qpyodide-button qpyodide-button-delete';
+        deleteButton.type = 'button';
+        deleteButton.id = `qpyodide-button-delete-${this.id}`;
+        deleteButton.title = 'Delete code block';
+        deleteButton.innerHTML = '<i class="fa-regular fa-trash-can"></i>';
+
+        // Append buttons to the rightButtonsDiv
+        rightButtonsDiv.appendChild(moveUpButton);
+        rightButtonsDiv.appendChild(moveDownButton);
+        rightButtonsDiv.appendChild(addBelowButton);
+        rightButtonsDiv.appendChild(resetButton);
+        rightButtonsDiv.appendChild(copyButton);
+        if (globalThis.feedback == true){
+            rightButtonsDiv.appendChild(feedbackButton);
+            rightButtonsDiv.appendChild(clearFeedbackButton);
+        }
+        rightButtonsDiv.appendChild(deleteButton);
+
+        // Create console area div
+        var consoleAreaDiv = document.createElement('div');
+        consoleAreaDiv.id = `qpyodide-console-area-${this.id}`;
+        consoleAreaDiv.className = 'qpyodide-console-area';
+
+        // Create editor div
+        var editorDiv = document.createElement('div');
+        editorDiv.id = `qpyodide-editor-${this.id}`;
+        editorDiv.className = 'qpyodide-editor';
+
+        // Create output code area div
+        var outputCodeAreaDiv = document.createElement('div');
+        outputCodeAreaDiv.id = `qpyodide-output-code-area-${this.id}`;
+        outputCodeAreaDiv.className = 'qpyodide-output-code-area';
+        outputCodeAreaDiv.setAttribute('aria-live', 'assertive');
+
+        // Create pre element inside output code area
+        var preElement = document.createElement('pre');
+        preElement.style.visibility = 'hidden';
+        outputCodeAreaDiv.appendChild(preElement);
 
-            runtime_message = qpyodideRetrieveOutput(); 
-            // Re-enable execution
-            thiz.enableInteractiveCells();
-            } catch (error) {
-                runtime_message = `Error: ${error.message}`;
-            }
-            const runtime_prompt = "\nHere is the output of the python interpreter:\n";
+        if (globalThis.feedback == true){
+            // Create output feedback area div
+            var outputFeedbackAreaDiv = document.createElement('div');
+            outputFeedbackAreaDiv.id = `qpyodide-output-feedback-area-${this.id}`;
+            outputFeedbackAreaDiv.className = 'qpyodide-output-feedback-area';
+            outputFeedbackAreaDiv.setAttribute('aria-live', 'assertive');
+        }
 
-        
+        // Create output graph area div
+        var outputGraphAreaDiv = document.createElement('div');
+        outputGraphAreaDiv.id = `qpyodide-output-graph-area-${this.id}`;
+        outputGraphAreaDiv.className = 'qpyodide-output-graph-area';
 
-            if(globalThis.backend == "groq"){
-                const url = document.getElementById('baseUrlInput').value; 
-                const apiKey = document.getElementById('apiKeyInput').value;
-                const modelsUrl = `${url}/models`; 
-                const feedbackUrl = `${url}/chat/completions`;
-                if (!apiKey) {
-                    alert('Please enter your API Key.');
-                    return;
-                }
-                // Send the request to the API
-                fetch(modelsUrl, {
-                    method: "GET",
-                    headers: {
-                        "Authorization": `Bearer ${apiKey}`,
-                        "Content-Type": "application/json"
-                    }
-                })
-                .then(response => response.json())
-                .then(modelsData => {
-                    console.log("Model list:", modelsData);
-
-                    const modelIds = modelsData.data.map(model => model.id);
-                    let selectedModel = "mixtral-8x7b-32768";
-                    if (!modelIds.includes(selectedModel)) {
-                        selectedModel = modelIds[0];
-                    }
-                    console.log("Selected model:", selectedModel);
-                
-                
-                    // Prepare the request data
-                    const requestData = {
-                        messages:  
-                        [{role: "system", content: system_prompt},
-                        {role: "user", content: runtime_prompt + runtime_message + prompt1 + data + prompt2 }],
-                        model: selectedModel
-                    };
-                    
-
-                    
-
-                    fetch(feedbackUrl, {
-                        method: "POST",
-                        headers: {
-                            "Authorization": `Bearer ${apiKey}`,
-                            "Content-Type": "application/json"
-                        },
-                        body: JSON.stringify(requestData)
-                    })
-                    .then(feedbackresponse => feedbackresponse.json())
-                    .then(data => {
-                        // Clear the existing feedback in the outputFeedbackDiv
-                        thiz.outputFeedbackDiv2.innerHTML = "";
-                        // Get the feedback from the API response
-                        const feedback = data.choices[0].message.content;
-
-                        // Function to replace \n with <br>
-                        function replaceNewlinesWithBr(text) {
-                            return text.replace(/\n/g, '<br>');
-                        }
+        // Create the collapsible `details` and `summary` element
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        details.open = true; // Open by default
+        summary.textContent = "Show Python Code"; // Text for the summary element
 
-                        // Create the inner div element for the feedback header 
-                        const feedbackHeaderDiv = document.createElement("div");
-                        feedbackHeaderDiv.setAttribute("id", "feedback-label");
-                        feedbackHeaderDiv.innerHTML = "AI-Feedback:";
-                        thiz.outputFeedbackDiv2.appendChild(feedbackHeaderDiv);
-                        thiz.outputFeedbackDiv2.firstChild.style.textDecoration = "underline";
-                        thiz.outputFeedbackDiv2.firstChild.style.marginBottom = "20px";
-                        thiz.outputFeedbackDiv2.firstChild.style.fontSize = "large";
-
-                        // Create a new element to display the feedback
-                        const feedbackElement = document.createElement('div');
-                        feedbackElement.innerHTML = replaceNewlinesWithBr(feedback);
-
-                        // Append the feedback element below the code field
-                        thiz.outputFeedbackDiv2.appendChild(feedbackElement);
-                    })
-                    .catch(error => {
-                        console.error('Error:', error);
-                        alert('Error when requesting the API: ' + error);
-                    });
-                })
-                .catch(error => {
-                    console.error('Error fetching models:', error);
-                    alert('Error when retrieving the model list: ' + error);
-                });
-            }
-            
-            if(globalThis.backend == "flask"){
-                // Prepare the request data
-                const requestData = {
-                    messages:  
-                    [{role: "system", content: system_prompt},
-                    {role: "user", content: runtime_prompt + runtime_message + prompt1 + data + prompt2 }]
-                };
-                // URL of the Flask server
-                const url = "http://127.0.0.1:5000/api/feedback"; 
-
-                // Send the request to the server
-                fetch(url, {
-                    method: "POST",
-                    headers: {
-                        "Content-Type": "application/json"
-                    },
-                    body: JSON.stringify(requestData)
-                })
-                .then(response => response.json())
-                .then(data => {
-                    if (data && data.choices && data.choices.length > 0) {
-                        // Clear the existing feedback in the outputFeedbackDiv
-                        thiz.outputFeedbackDiv2.innerHTML = "";
-                        // Get the feedback from the API response
-                        const feedback = data.choices[0].message.content;
-
-                         // Log the entire model list and the selected model
-                        console.log("Model list: ", data.model_list); 
-                        console.log("Selected model: ", data.selected_model);
-
-                        // Function to replace \n with <br>
-                        function replaceNewlinesWithBr(text) {
-                            return text.replace(/\n/g, '<br>');
-                        }
+        // Add the toolbar and console to `details`
+        details.appendChild(summary);
+        details.appendChild(toolbarDiv);
 
-                        // Create the inner div element for the feedback header 
-                        const feedbackHeaderDiv = document.createElement("div");
-                        feedbackHeaderDiv.setAttribute("id", "feedback-label");
-                        feedbackHeaderDiv.innerHTML = "AI-Feedback:";
-                        thiz.outputFeedbackDiv2.appendChild(feedbackHeaderDiv);
-                        thiz.outputFeedbackDiv2.firstChild.style.textDecoration = "underline";
-                        thiz.outputFeedbackDiv2.firstChild.style.marginBottom = "20px";
-                        thiz.outputFeedbackDiv2.firstChild.style.fontSize = "large";
-
-                        // Create a new element to display the feedback
-                        const feedbackElement = document.createElement('div');
-                        feedbackElement.innerHTML = replaceNewlinesWithBr(feedback);
-
-                        // Append the feedback element below the code field
-                        thiz.outputFeedbackDiv2.appendChild(feedbackElement);
-                    }else {
-                        console.error("Error: 'choices' field is missing or empty in the API response.");
-                        alert("Error when retrieving feedback: 'choices' field not available or empty.");
-                    }
-                })
-                .catch(error => {
-                    console.error('Error:', error);
-                    alert('Error when requesting the API:  ' + error);
-                });
-            }
-            
-            thiz.outputFeedbackDiv2.classList.add('has-content');
-        };
-    }; 
+        consoleAreaDiv.appendChild(editorDiv);
+        consoleAreaDiv.appendChild(outputCodeAreaDiv);
+        if (globalThis.feedback == true){
+            consoleAreaDiv.appendChild(outputFeedbackAreaDiv);
+        }
 
-    disableInteractiveCells() {
-        // Enable locking of execution for the cell
-        this.executionLock = true;
+        details.appendChild(consoleAreaDiv);
+        details.appendChild(outputGraphAreaDiv);
 
-        // Disallowing execution of other code cells
-        document.querySelectorAll(".qpyodide-button-run").forEach((btn) => {
-            btn.disabled = true;
-        });
-    }
+        // Append the `details` element to the main div
+        mainDiv.appendChild(details);
 
-    enableInteractiveCells() {
-        // Remove locking of execution for the cell
-        this.executionLock = false;
+        // Append buttons to the toolbar
+        toolbarDiv.appendChild(leftButtonsDiv);
+        toolbarDiv.appendChild(middleToolBarDiv);
+        toolbarDiv.appendChild(rightButtonsDiv);
 
-        // All execution of other code cells
-        document.querySelectorAll(".qpyodide-button-run").forEach((btn) => {
-            btn.disabled = false;
-        });
+        // Insert the code block below the cell it belongs to
+        this.insertionLocation.appendChild(mainDiv);
+        this.mainDiv = mainDiv;
     }
 
     /**
-     * Execute the Python code inside the editor.
+     * Set up the editor and the buttons that arrange the code blocks.
      */
-    async runCode(code) {
-        
-        // Check if we have an execution lock
-        if (this.executeLock) return; 
-        
-        this.disableInteractiveCells();
-
-        // Force wait procedure
-        await mainPyodide;
-
-        // Clear the output stock
-        qpyodideResetOutputArray();
-
-        // Generate a new canvas element, avoid attaching until the end
-        let graphFigure = document.createElement("figure");
-        document.pyodideMplTarget = graphFigure;
+    setupMonacoEditor() {
+        super.setupMonacoEditor();
 
-        console.log("Running code!");
-        // Obtain results from the base class
-        try {
-            // Always check to see if the user adds new packages
-            await mainPyodide.loadPackagesFromImports(code);
+        this.moveUpButton = document.getElementById(`qpyodide-button-move-up-${this.id}`);
+        this.moveDownButton = document.getElementById(`qpyodide-button-move-down-${this.id}`);
+        this.addBelowButton = document.getElementById(`qpyodide-button-add-below-${this.id}`);
+        this.deleteButton = document.getElementById(`qpyodide-button-delete-${this.id}`);
 
-            // Process result
-            const output = await mainPyodide.runPythonAsync(code);
+        // Store reference to the object
+        var thiz = this;
 
-            // Add output
-            qpyodideAddToOutputArray(output, "stdout");
-        } catch (err) {
-            // Add error message
-            qpyodideAddToOutputArray(err, "stderr");
-            // TODO: There has to be a way to remove the Pyodide portion of the errors... 
-        }
+        thiz.moveUpButton.onclick = function () {
+            thiz.parentCell.moveScratchCell(thiz, -1);
+        };
 
-        const result = qpyodideRetrieveOutput();
+        thiz.moveDownButton.onclick = function () {
+            thiz.parentCell.moveScratchCell(thiz, 1);
+        };
 
-        // Nullify the output area of content
-        this.outputCodeDiv.innerHTML = "";
-        this.outputGraphDiv.innerHTML = "";        
+        thiz.addBelowButton.onclick = function () {
+            thiz.parentCell.addScratchCell("", thiz);
+        };
 
-        // Design an output object for messages
-        const pre = document.createElement("pre");
-        if (/\S/.test(result)) {
-            // Display results as HTML elements to retain output styling
-            const div = document.createElement("div");
-            div.innerHTML = result;
-            pre.appendChild(div);
-            this.outputCodeDiv.classList.add('has-content');
-        } else {
-            // If nothing is present, hide the element.
-            pre.style.visibility = "hidden";
-             // If no output, hide the code output div
-            this.outputCodeDiv.classList.remove('has-content');
-        }
+        thiz.deleteButton.onclick = function () {
+            // Ask before throwing away code
+            const code = thiz.editor ? thiz.editor.getValue() : thiz.code;
+            if (code.trim() !== "" && !confirm("Delete this code block?")) return;
 
-        // Add output under interactive div
-        this.outputCodeDiv.appendChild(pre);
+            thiz.parentCell.removeScratchCell(thiz);
+        };
+    }
 
-        // Place the graphics onto the page
-        if (graphFigure.children.length>0) {
+    /**
+     * Key under which the conversation about the code block is saved.
+     * @returns {?string} Key of the cell and the position of the block, or
+     * null while the block is not yet placed below the cell.
+     */
+    feedbackStorageKey() {
+        const index = this.parentCell?.scratchCells.indexOf(this) ?? -1;
+        if (index === -1) return null;
 
-            if (this.options['fig-cap']) {
-                // Create figcaption element
-                const figcaptionElement = document.createElement('figcaption');
-                figcaptionElement.innerText = this.options['fig-cap'];
-                // Append figcaption to figure
-                graphFigure.appendChild(figcaptionElement);    
-            }
+        return this.parentCell.scratchFeedbackStorageKey(index);
+    }
 
-            this.outputGraphDiv.appendChild(graphFigure);
-            this.outputGraphDiv.classList.add('has-content');
-        }
-        else {
-            this.outputGraphDiv.classList.remove('has-content');
-        }
+    /**
+     * Empty the code block, which has no original code to go back to.
+     */
+    resetCode() {
+        this.editor.setValue("");
+    }
 
-        // Re-enable execution
-        this.enableInteractiveCells();
+    /**
+     * Code blocks are restored together by the cell they belong to.
+     */
+    restoreSavedCode() {
     }
 
     /**
-     * Execute the Python code inside the editor.
+     * Save the code blocks of the cell, including this one.
      */
-    async runCodeNE(code) {
-        
-        // Check if we have an execution lock
-        if (this.executeLock) return; 
-        
-        this.disableInteractiveCells();
+    saveCode() {
+        this.parentCell.saveScratchCells();
+    }
 
-        // Force wait procedure
-        await mainPyodide;
+    /**
+     * Count runs of the code block as runs of the cell it belongs to.
+     */
+    recordRun() {
+        this.parentCell.recordRun();
+    }
 
-        // Clear the output stock
-        qpyodideResetOutputArray();
+    /**
+     * Remove the code block from the page.
+     */
+    destroy() {
+        clearTimeout(this.saveCodeTimeout);
+        clearTimeout(this.lintTimeout);
+        if (this.editor) {
+            this.editor.dispose();
+        }
+        this.mainDiv.remove();
+    }
+};
 
-        // Generate a new canvas element, avoid attaching until the end
-        let graphFigure = document.createElement("figure");
-        document.pyodideMplTarget = graphFigure;
+/**
+ * ExerciseCell class for interactive cells whose code is checked by hidden tests.
+ * @class
+ * @extends InteractiveCell
+ */
+class ExerciseCell extends InteractiveCell {
 
-        console.log("Running code!");
-        // Obtain results from the base class
-        try {
-            // Always check to see if the user adds new packages
-            await mainPyodide.loadPackagesFromImports(code);
+    /**
+     * Constructor for ExerciseCell.
+     * @constructor
+     * @param {Object} cellData - JSON object containing code, id, options, and check code.
+     */
+    constructor(cellData) {
+        super(cellData);
+        this.check = cellData.check ?? "";
+    }
 
-            // Process result
-            const output = await mainPyodide.runPythonAsync(code);
+    /**
+     * Set up the interactive cell elements with an area for the check results.
+     */
+    setupElement() {
+        super.setupElement();
 
-            // Add output
-            qpyodideAddToOutputArray(output, "stdout");
-        } catch (err) {
-            // Add error message
-            qpyodideAddToOutputArray(err, "stderr");
-            // TODO: There has to be a way to remove the Pyodide portion of the errors... 
-        }
+        // Create check result area div below the editor output
+        var checkResultDiv = document.createElement('div');
+        checkResultDiv.id = `qpyodide-check-result-area-${this.id}`;
+        checkResultDiv.className = 'qpyodide-check-result-area';
+        checkResultDiv.setAttribute('aria-live', 'polite');
 
-        const result = qpyodideRetrieveOutput();
+        document.getElementById(`qpyodide-console-area-${this.id}`).appendChild(checkResultDiv);
+        this.checkResultDiv = checkResultDiv;
+    }
 
-        // Nullify the output area of content
-        this.outputCodeDiv2.innerHTML = "";
-        this.outputGraphDiv2.innerHTML = "";        
+    /**
+     * Execute the student's code, then the hidden checks.
+     * @param {string} code - Python code to run.
+     * @param {number} firstLine - Editor line the code starts on.
+     */
+    async runCode(code, firstLine = 1) {
+        // Only runs of the whole editor are checked, not Ctrl+Enter selections
+        const isWholeCell = this.editor && code === this.editor.getValue();
+
+        await this.runCodeInArea(
+            code, this.outputCodeDiv, this.outputGraphDiv,
+            isWholeCell ? (evaluation) => this.runChecks(evaluation) : null,
+            firstLine
+        );
+    }
 
-        // Design an output object for messages
-        const pre = document.createElement("pre");
-        if (/\S/.test(result)) {
-            // Display results as HTML elements to retain output styling
-            const div = document.createElement("div");
-            div.innerHTML = result;
-            pre.appendChild(div);
-            this.outputCodeDiv2.classList.add('has-content');
+    /**
+     * Run the hidden checks against the namespace left by the student's code.
+     * @param {Object} evaluation - Result of running the student's code.
+     */
+    async runChecks(evaluation) {
+        if (!this.check) return;
+
+        let checks;
+        if (evaluation.error) {
+            checks = [{
+                passed: false,
+                message: "Your code raised an error. Fix it before the checks can run."
+            }];
         } else {
-            // If nothing is present, hide the element.
-            pre.style.visibility = "hidden";
-            // If no output, hide the code output div
-            this.outputCodeDiv2.classList.remove('has-content');
+            try {
+                checks = await mainPyodide.runChecks(this.check);
+            } catch (err) {
+                checks = [{ passed: false, message: qpyodideSummarizeError(err) }];
+            } finally {
+                // Output printed by the checks is not shown
+                qpyodideResetOutputArray();
+            }
         }
 
-        // Add output under interactive div
-        this.outputCodeDiv2.appendChild(pre);
-
-        // Place the graphics onto the page
-        if (graphFigure.children.length>0) {
-
-            if (this.options['fig-cap']) {
-                // Create figcaption element
-                const figcaptionElement = document.createElement('figcaption');
-                figcaptionElement.innerText = this.options['fig-cap'];
-                // Append figcaption to figure
-                graphFigure.appendChild(figcaptionElement);    
-            }
+        this.displayCheckResults(checks);
 
-            this.outputGraphDiv2.appendChild(graphFigure);
-            this.outputGraphDiv2.classList.add('has-content');
-        } else {
-            this.outputGraphDiv2.classList.remove('has-content');
+        // Running the revealed solution does not count as solving the exercise
+        if (this.studentAttempt === null && !this.isAutoRunning) {
+            qpyodideRecordExerciseResult(this, checks);
         }
+    }
 
-        // Re-enable execution
-        this.enableInteractiveCells();
+    /**
+     * Show a pass/fail badge with the message of each check.
+     * @param {{passed: boolean, message: string}[]} checks - Outcome of each check.
+     */
+    displayCheckResults(checks) {
+        const passedCount = checks.filter((check) => check.passed).length;
+        const passed = checks.length > 0 && passedCount === checks.length;
+
+        this.checkResultDiv.innerHTML = "";
+        this.checkResultDiv.classList.add('has-content');
+        this.checkResultDiv.classList.toggle('qpyodide-check-passed', passed);
+        this.checkResultDiv.classList.toggle('qpyodide-check-failed', !passed);
+
+        // Create the pass/fail badge
+        const badge = document.createElement('span');
+        badge.className = 'qpyodide-check-badge';
+        badge.innerHTML = passed ?
+            '<i class="fa-solid fa-circle-check"></i> Passed' :
+            '<i class="fa-solid fa-circle-xmark"></i> Not passed';
+
+        const summary = document.createElement('span');
+        summary.className = 'qpyodide-check-summary';
+        summary.innerText = `${passedCount}/${checks.length} checks passed`;
+
+        // List the message of every check
+        const list = document.createElement('ul');
+        checks.forEach((check) => {
+            const item = document.createElement('li');
+            item.className = check.passed ? 'qpyodide-check-item-passed' : 'qpyodide-check-item-failed';
+            item.innerText = `${check.passed ? "✔" : "✘"} ${check.message}`;
+            list.appendChild(item);
+        });
+
+        this.checkResultDiv.appendChild(badge);
+        this.checkResultDiv.appendChild(summary);
+        this.checkResultDiv.appendChild(list);
     }
 
-    
+    /**
+     * Remove the results of the cell, including the check results.
+     */
+    clearOutput() {
+        super.clearOutput();
+        this.clearOutputAreas(this.checkResultDiv);
+    }
 };
 
 /**
@@ -1441,15 +2530,96 @@ class OutputCell extends BaseCell {
      */
     constructor(cellData) {
       super(cellData);
+      this.setupElement();
+    }
+
+    /**
+     * Set up the output areas and a loading indicator.
+     */
+    setupElement() {
+
+        // Create main div element
+        var mainDiv = document.createElement('div');
+        mainDiv.id = `qpyodide-output-area-${this.id}`;
+        mainDiv.className = `qpyodide-output-area`;
+        if (this.options.classes) {
+            mainDiv.className += " " + this.options.classes
+        }
+
+        // Add a unique cell identifier that users can customize
+        if (this.options.label) {
+            mainDiv.setAttribute('data-id', this.options.label);
+        }
+
+        // Create a loading indicator shown until the results are available
+        var loadingDiv = document.createElement('div');
+        loadingDiv.className = 'qpyodide-non-interactive-loading-container qpyodide-cell-needs-evaluation';
+
+        var spinnerIcon = document.createElement('i');
+        spinnerIcon.className = 'fa-solid fa-spinner fa-spin qpyodide-icon-status-spinner';
+
+        var statusText = document.createElement('span');
+        statusText.className = 'qpyodide-status-text qpyodide-cell-needs-evaluation';
+        statusText.innerText = 'Loading Pyodide...';
+
+        loadingDiv.appendChild(spinnerIcon);
+        loadingDiv.appendChild(statusText);
+
+        // Create output code area div
+        var outputCodeAreaDiv = document.createElement('div');
+        outputCodeAreaDiv.id = `qpyodide-output-code-area-${this.id}`;
+        outputCodeAreaDiv.className = 'qpyodide-output-code-area';
+        outputCodeAreaDiv.setAttribute('aria-live', 'assertive');
+
+        // Create output graph area div
+        var outputGraphAreaDiv = document.createElement('div');
+        outputGraphAreaDiv.id = `qpyodide-output-graph-area-${this.id}`;
+        outputGraphAreaDiv.className = 'qpyodide-output-graph-area';
+
+        mainDiv.appendChild(loadingDiv);
+        mainDiv.appendChild(outputCodeAreaDiv);
+        mainDiv.appendChild(outputGraphAreaDiv);
+
+        // Insert the dynamically generated object at the document location.
+        this.insertionLocation.appendChild(mainDiv);
+
+        this.loadingDiv = loadingDiv;
+        this.statusText = statusText;
+        this.outputCodeDiv = outputCodeAreaDiv;
+        this.outputGraphDiv = outputGraphAreaDiv;
+    }
+
+    /**
+     * Remove the rendered results.
+     */
+    clearOutput() {
+        this.clearOutputAreas(this.outputCodeDiv, this.outputGraphDiv);
+    }
+
+    /**
+     * Output cells always run once Pyodide is ready.
+     */
+    async autoRunExecuteCode() {
+        await this.displayOutput();
     }
   
     /**
      * Display customized output on the page.
-     * @param {*} output - Result to be displayed.
      */
-    displayOutput(output) {
-        const results = this.executeCode();
-        return results;
+    async displayOutput() {
+        this.statusText.innerText = 'Running code...';
+        this.statusText.classList.remove('qpyodide-cell-needs-evaluation');
+
+        // Output cells run during startup, so wait for a run in progress to end
+        while (!this.disableInteractiveCells()) {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+        const { result, figures, displays } = await this.evaluateCode(this.code);
+        this.enableInteractiveCells();
+
+        // Swap the loading indicator for the results
+        this.loadingDiv.remove();
+        this.displayResults(result, figures, this.outputCodeDiv, this.outputGraphDiv, displays);
     }
   }
 
@@ -1468,25 +2638,27 @@ class SetupCell extends BaseCell {
         super(cellData);
     }
 
+    /**
+     * Setup code is exported so that the downloaded script runs on its own.
+     * @returns {{code: string, text: string, figures: string[]}[]} Setup code without output.
+     */
+    exportCells() {
+        return [{ code: this.code, text: "", figures: [] }];
+    }
+
     /**
      * Execute the Python code without displaying the results.
+     * @returns {Error|null} Error raised by the code, if any.
      */
-    runSetupCode() {
-        // Execute code without displaying output
-        this.executeCode();
+    async runSetupCode() {
+        try {
+            await this.executeCode();
+            return null;
+        } catch (err) {
+            return err;
+        } finally {
+            // Execute code without displaying output
+            qpyodideResetOutputArray();
+        }
     }
 };
-
-// Global matplotlib backend setup (once)
-await pyodide.runPythonAsync(`
-import matplotlib
-matplotlib.use("module://matplotlib_pyodide.html5_canvas_backend")
-`);
-
-
-// Global matplotlib defaults (uniform canvases, no toolbar)
-await pyodide.runPythonAsync(`
-import matplotlib
-matplotlib.rcParams["figure.figsize"] = (6, 4)
-matplotlib.rcParams["toolbar"] = "None"
-`);
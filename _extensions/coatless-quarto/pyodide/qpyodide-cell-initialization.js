@@ -1,7 +1,16 @@
 // Handle cell initialization initialization
+globalThis.qpyodideCellContainer = qpyodideCreateCellContainer();
+
 qpyodideCellDetails.map(
     (entry) => {
       // Handle the creation of the element
-      qpyodideCreateCell(entry);
+      qpyodideCellContainer.addCell(qpyodideCreateCell(entry));
     }
-  );
\ No newline at end of file
+  );
+
+// Run the setup cells before unlocking the interactive cells
+await qpyodideInstance;
+await qpyodideCompleteStartup(qpyodideCellContainer);
+
+// Run cells marked with `autorun: true` once Pyodide is ready
+await qpyodideCellContainer.autoRunExecuteAllCells();
\ No newline at end of file
@@ -6,51 +6,421 @@ globalThis.qpyodideAddToOutputArray = function(message, type) {
   qpyodideMessageArray.push({ message, type });
 }
 
+// Printed lines kept for a run. Older ones are dropped so that a loop printing
+// every step cannot grow the page without limit.
+globalThis.qpyodideMaxOutputLines = 2000;
+let qpyodideStoredLineCount = 0;
+let qpyodideDroppedLineCount = 0;
+
 // Function to reset the output array
 globalThis.qpyodideResetOutputArray = function() {
   qpyodideMessageArray = [];
+  qpyodideStoredLineCount = 0;
+  qpyodideDroppedLineCount = 0;
+}
+
+// Note shown in place of printed lines that were dropped
+globalThis.qpyodideFormatDroppedLines = function(count) {
+  return `<code class="qpyodide-output-code-note">[${count} earlier lines not shown]</code>`;
 }
 
 globalThis.qpyodideRetrieveOutput = function() {
-  return qpyodideMessageArray.map(entry => entry.message).join('\n');
+  const messages = qpyodideMessageArray.map(entry => entry.message);
+  if (qpyodideDroppedLineCount > 0) {
+    messages.unshift(qpyodideFormatDroppedLines(qpyodideDroppedLineCount));
+  }
+  return messages.join('\n');
+}
+
+// Text of the collected output without markup, e.g. for feedback prompts
+globalThis.qpyodideRetrieveOutputText = function() {
+  const element = document.createElement("div");
+  element.innerHTML = qpyodideRetrieveOutput();
+  return element.textContent;
+}
+
+// Receives printed text while a cell runs, so it can be shown live
+let qpyodideOutputListener = null;
+
+globalThis.qpyodideSetOutputListener = function(listener) {
+  qpyodideOutputListener = listener;
+}
+
+// Wrap text from stdout or stderr for the output area
+globalThis.qpyodideFormatStream = function(text, type) {
+  return `<code class="qpyodide-output-code-${type}">${qpyodideEscapeHTML(text)}</code>`;
+}
+
+// Collect printed text and pass it on to the cell showing it live
+globalThis.qpyodideWriteOutput = function(text, type) {
+  const message = qpyodideFormatStream(text, type);
+  const lines = text.split("\n").length;
+  qpyodideMessageArray.push({ message, type, lines });
+  qpyodideStoredLineCount += lines;
+
+  // Forget the oldest printed text once there is too much
+  while (qpyodideStoredLineCount > qpyodideMaxOutputLines) {
+    const index = qpyodideMessageArray.findIndex((entry) => entry.lines);
+    const [dropped] = qpyodideMessageArray.splice(index, 1);
+    qpyodideStoredLineCount -= dropped.lines;
+    qpyodideDroppedLineCount += dropped.lines;
+  }
+
+  if (qpyodideOutputListener) {
+    qpyodideOutputListener(message, type, lines);
+  }
 }
 
 // Start a timer
 const initializePyodideTimerStart = performance.now();
 
-// Encase with a dynamic import statement
-globalThis.qpyodideInstance = await import(
-  qpyodideCustomizedPyodideOptions.indexURL + "pyodide.mjs").then(
-   async({ loadPyodide }) => {
-
-    console.log("Start loading Pyodide");
-    
-    // Populate Pyodide options with defaults or new values based on `pyodide`` meta
-    let mainPyodide = await loadPyodide(
-      qpyodideCustomizedPyodideOptions
-    );
-    
-    // Setup a namespace for global scoping
-    // await loadedPyodide.runPythonAsync("globalScope = {}"); 
-
-    // Add matplotlib
-    await mainPyodide.loadPackage("matplotlib");
-
-    // Set the backend for matplotlib to be interactive.
-    await mainPyodide.runPythonAsync(`
-    import matplotlib
-    from matplotlib import pyplot as plt
-    `);
-
-    // Unlock interactive buttons
-    qpyodideSetInteractiveButtonState(
-      `<i class="fa-solid fa-play qpyodide-icon-run-code"></i> <span>Run Code</span>`, 
-      true
-    ); 
-
-    if (qpyodideShowStartupMessage) {
-      qpyodideStartupMessage.innerText = "Python interpreter: 🟢 Ready!"
+// Worker that hosts the Python interpreter
+let qpyodideWorker = null;
+
+// Promise that settles once the worker has finished loading Pyodide
+let qpyodideWorkerReady = null;
+
+// Track requests sent to the worker that have not been answered yet
+let qpyodideRequestCounter = 0;
+const qpyodidePendingRequests = new Map();
+
+// Shared memory used to send SIGINT to the worker.
+// Only available when the page is cross-origin isolated; otherwise a stop
+// request terminates the worker and starts a fresh interpreter.
+// GitHub Pages cannot send the headers needed for isolation, so there a stop
+// always loses the variables of earlier runs.
+const qpyodideInterruptBuffer = globalThis.crossOriginIsolated ?
+  new Uint8Array(new SharedArrayBuffer(1)) : null;
+
+// Tooltip of the Stop buttons, telling students what a stop costs on this page
+globalThis.qpyodideStopButtonTitle = qpyodideInterruptBuffer ?
+  "Stop running code" :
+  "Stop running code. This restarts the Python interpreter, so variables from earlier runs are lost";
+
+// All cells share one interpreter and one output collector, so only one run
+// at a time is allowed on the page. Runs also wait while the interpreter is
+// starting or restarting.
+let qpyodideRunActive = false;
+let qpyodideInterpreterAvailable = false;
+
+// Whether a run started now would have to wait
+globalThis.qpyodideIsBusy = function() {
+  return qpyodideRunActive || !qpyodideInterpreterAvailable;
+}
+
+// Whether the interpreter is ready to take runs from the page
+globalThis.qpyodideIsInterpreterAvailable = function() {
+  return qpyodideInterpreterAvailable;
+}
+
+// Claim the interpreter for a run, or return false if it is busy
+globalThis.qpyodideAcquireRun = function() {
+  if (qpyodideIsBusy()) {
+    return false;
+  }
+  qpyodideRunActive = true;
+  return true;
+}
+
+// Let other cells run again
+globalThis.qpyodideReleaseRun = function() {
+  qpyodideRunActive = false;
+}
+
+// Recreate a Python exception received from the worker
+function qpyodideCreatePythonError({ type, message }) {
+  const error = new Error(message);
+  error.name = "PythonError";
+  error.type = type;
+  return error;
+}
+
+// Reduce an error to its final line, e.g. `ValueError: ...`
+globalThis.qpyodideSummarizeError = function(err) {
+  return err.message.trim().split("\n").pop();
+}
+
+// Send a request to the worker and wait for its answer
+function qpyodidePostRequest(type, payload = {}) {
+  return new Promise((resolve, reject) => {
+    const id = ++qpyodideRequestCounter;
+    qpyodidePendingRequests.set(id, { resolve, reject });
+    qpyodideWorker.postMessage({ id, type, payload });
+  });
+}
+
+// Send a request once the current worker is able to handle it
+async function qpyodideRequest(type, payload = {}) {
+  await qpyodideWorkerReady;
+  return qpyodidePostRequest(type, payload);
+}
+
+// Dispatch messages coming back from the worker
+function qpyodideHandleWorkerMessage(event) {
+  const { id, type, payload } = event.data;
+
+  // Forward output streams to the document level handlers
+  if (type === "stdout") {
+    qpyodideCustomizedPyodideOptions.stdout(payload);
+    return;
+  }
+  if (type === "stderr") {
+    qpyodideCustomizedPyodideOptions.stderr(payload);
+    return;
+  }
+
+  const request = qpyodidePendingRequests.get(id);
+  if (!request) {
+    return;
+  }
+  qpyodidePendingRequests.delete(id);
+
+  if (type === "error") {
+    request.reject(qpyodideCreatePythonError(payload));
+  } else {
+    request.resolve(payload);
+  }
+}
+
+// Spin up a worker and load Pyodide inside of it
+function qpyodideStartWorker() {
+  const workerSource = document.getElementById("qpyodide-worker-script").textContent;
+  const workerURL = URL.createObjectURL(new Blob([workerSource], { type: "text/javascript" }));
+
+  qpyodideWorker = new Worker(workerURL);
+  qpyodideWorker.onmessage = qpyodideHandleWorkerMessage;
+
+  // Populate Pyodide options with defaults or new values based on `pyodide` meta
+  qpyodideWorkerReady = qpyodidePostRequest("init", {
+    indexURL: qpyodideCustomizedPyodideOptions.indexURL,
+    env: qpyodideCustomizedPyodideOptions.env,
+    interruptBuffer: qpyodideInterruptBuffer
+  });
+
+  return qpyodideWorkerReady;
+}
+
+// Symbols used to describe the installation state of a package
+const qpyodidePackageStatusIcons = {
+  pending: "⏳",
+  installing: "🟡",
+  installed: "🟢",
+  failed: "🔴"
+};
+
+// Install the packages listed under `pyodide.packages` in the document metadata
+async function qpyodideInstallDeclaredPackages() {
+  if (!qpyodideSetupPythonPackages) {
+    return [];
+  }
+
+  const packageStatus = new Map(
+    qpyodideInstallPythonPackagesList.map((name) => [name, "pending"])
+  );
+
+  const displayPackageStatus = () => {
+    if (!qpyodideShowStartupMessage) {
+      return;
+    }
+    const statusText = [...packageStatus].map(
+      ([name, state]) => `${name} ${qpyodidePackageStatusIcons[state]}`
+    ).join(", ");
+    qpyodideUpdateStatusHeader(`Installing packages: ${statusText}`);
+  };
+
+  const failures = [];
+  qpyodideUpdateStatusMessage("Installing packages...");
+  for (const name of qpyodideInstallPythonPackagesList) {
+    packageStatus.set(name, "installing");
+    displayPackageStatus();
+
+    try {
+      await qpyodideRequest("installPackage", { name });
+      packageStatus.set(name, "installed");
+    } catch (err) {
+      console.error(`Unable to install the Python package '${name}':`, err.message);
+      packageStatus.set(name, "failed");
+      failures.push(`${name} (${qpyodideSummarizeError(err)})`);
+    }
+  }
+  displayPackageStatus();
+
+  return failures;
+}
+
+// Packages from the document metadata that could not be installed
+let qpyodidePackageFailures = [];
+
+// Report the interpreter as ready, mentioning anything that failed during startup
+function qpyodideDisplayReadyMessage(setupFailures) {
+  if (!qpyodideShowStartupMessage) {
+    return;
+  }
+
+  let message = "Python interpreter: 🟢 Ready!";
+  if (qpyodidePackageFailures.length > 0) {
+    message += ` 🔴 Failed to install: ${qpyodidePackageFailures.join("; ")}`;
+  }
+  if (setupFailures.length > 0) {
+    message += ` 🔴 Setup code failed: ${setupFailures.join("; ")}`;
+  }
+  qpyodideStartupMessage.innerText = message;
+}
+
+// Run the hidden setup cells, then unlock the interactive cells
+globalThis.qpyodideCompleteStartup = async function(cellContainer) {
+  if (qpyodideShowStartupMessage) {
+    qpyodideUpdateStatusHeader("Running setup code...");
+  }
+  qpyodideUpdateStatusMessage("Running setup code...");
+
+  const setupFailures = await cellContainer.executeSetupCells();
+
+  // Unlock interactive buttons
+  qpyodideInterpreterAvailable = true;
+  qpyodideSetInteractiveButtonState(
+    `<i class="fa-solid fa-play qpyodide-icon-run-code"></i> <span>Run Code</span>`,
+    true
+  );
+
+  qpyodideDisplayReadyMessage(setupFailures);
+
+  // Allow the page to be reset from the status header
+  qpyodideSetRestartButtonState(true);
+
+  // Check the edited editors against the names the setup code defined
+  cellContainer.lintAllCells();
+}
+
+// Tear down the worker and bring up a new interpreter
+async function qpyodideRestartWorker() {
+  // No run may start until the new interpreter has run the setup code, and
+  // no second restart may replace the worker while this one is under way
+  qpyodideInterpreterAvailable = false;
+  qpyodideSetRestartButtonState(false);
+  qpyodideWorker.terminate();
+
+  // Anything still waiting on the old worker is treated as interrupted
+  for (const request of qpyodidePendingRequests.values()) {
+    request.reject(qpyodideCreatePythonError({
+      type: "KeyboardInterrupt",
+      message: "KeyboardInterrupt: the Python interpreter was restarted to stop the code. " +
+        "Variables from earlier runs are gone; setup and autorun cells run again, " +
+        "other cells need to be run again by hand."
+    }));
+  }
+  qpyodidePendingRequests.clear();
+
+  // Lock interactive buttons until the new interpreter is ready
+  qpyodideSetInteractiveButtonState(
+    `<i class="fa-solid fa-spinner fa-spin qpyodide-icon-status-spinner"></i> <span>Restarting...</span>`,
+    false
+  );
+
+  if (qpyodideShowStartupMessage) {
+    qpyodideUpdateStatusHeader("Restarting the Python interpreter...");
+  }
+
+  await qpyodideStartWorker();
+  qpyodidePackageFailures = await qpyodideInstallDeclaredPackages();
+}
+
+// Reset the Python environment of the page: a fresh interpreter, no outputs,
+// and the setup and autorun cells executed again
+globalThis.qpyodideRestartInterpreter = async function() {
+  await qpyodideRestartWorker();
+
+  qpyodideCellContainer.clearAllOutputs();
+
+  await qpyodideCompleteStartup(qpyodideCellContainer);
+  await qpyodideCellContainer.autoRunExecuteAllCells();
+}
+
+// Main thread handle on the interpreter running in the worker
+const mainPyodide = {
+
+  // Load Pyodide packages by name
+  loadPackage(names) {
+    return qpyodideRequest("loadPackage", { names });
+  },
+
+  // Load the Pyodide packages referenced by import statements
+  loadPackagesFromImports(code) {
+    return qpyodideRequest("loadPackagesFromImports", { code });
+  },
+
+  // Run code and collect its value, error, and figures without throwing
+  runCell(code, options = {}) {
+    return qpyodideRequest("runPython", { code, options });
+  },
+
+  // Run code and return its value, throwing on Python errors
+  async runPythonAsync(code) {
+    const { output, error } = await this.runCell(code);
+    if (error) {
+      throw qpyodideCreatePythonError(error);
+    }
+    return output;
+  },
+
+  // Run the hidden checks of an exercise and report the outcome of each
+  runChecks(code) {
+    return qpyodideRequest("runChecks", { code });
+  },
+
+  // Review code with linters and the course checks, without an AI service
+  reviewCode(code) {
+    return qpyodideRequest("reviewCode", { code });
+  },
+
+  // Suggest names for the cursor position, with lines from 1 and columns from 0
+  complete(code, line, column) {
+    return qpyodideRequest("complete", { code, line, column });
+  },
+
+  // Look up the signature and docstring of a suggested name
+  describeCompletion(code, line, column, name) {
+    return qpyodideRequest("describeCompletion", { code, line, column, name });
+  },
+
+  // Describe the parameters of the call surrounding the cursor
+  signatureHelp(code, line, column) {
+    return qpyodideRequest("signatureHelp", { code, line, column });
+  },
+
+  // Find syntax errors and pyflakes messages to underline in an editor
+  lintCode(code) {
+    return qpyodideRequest("lintCode", { code });
+  },
+
+  // Render a figure from an earlier run as base64 PNG data or SVG text
+  exportFigure(figureId, format, dpi) {
+    return qpyodideRequest("exportFigure", { figureId, format, dpi });
+  },
+
+  // Raise KeyboardInterrupt in the running code. Pages that are not
+  // cross-origin isolated cannot share memory with the worker, so there the
+  // interpreter is restarted and the page's setup and autorun cells run again.
+  async interruptExecution() {
+    if (qpyodideInterruptBuffer) {
+      // 2 stands for SIGINT
+      qpyodideInterruptBuffer[0] = 2;
+      return;
     }
+    await qpyodideRestartWorker();
+    await qpyodideCompleteStartup(qpyodideCellContainer);
+    await qpyodideCellContainer.autoRunExecuteAllCells();
+  }
+};
+
+console.log("Start loading Pyodide");
+
+// Keep the promise available globally so other scripts can wait on it
+globalThis.qpyodideInstance = qpyodideStartWorker().then(
+   async() => {
+
+    // Install the packages requested in the document metadata
+    qpyodidePackageFailures = await qpyodideInstallDeclaredPackages();
 
     // Assign Pyodide into the global environment
     globalThis.mainPyodide = mainPyodide;
@@ -60,10 +430,12 @@ globalThis.qpyodideInstance = await import(
   }
 );
 
+await qpyodideInstance;
+
 // Stop timer
 const initializePyodideTimerEnd = performance.now();
 
 // Create a function to retrieve the promise object.
 globalThis._qpyodideGetInstance = function() {
     return qpyodideInstance;
-}
\ No newline at end of file
+}
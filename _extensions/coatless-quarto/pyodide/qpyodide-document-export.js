@@ -0,0 +1,116 @@
+// Document export ----
+// Download the code of every cell on the page as a Python script or a
+// Jupyter notebook, so work started in the browser can continue locally.
+
+// Split text into lines that keep their trailing newline, as notebooks expect
+function qpyodideNotebookLines(text) {
+  return text.split(/(?<=\n)/);
+}
+
+// Gather the page content in document order
+function qpyodideCollectDocumentContent() {
+  const content = [];
+
+  for (const cell of qpyodideCellContainer.cells) {
+    if (/\S/.test(cell.markdown)) {
+      content.push({ type: "markdown", text: cell.markdown });
+    }
+    for (const entry of cell.exportCells()) {
+      content.push({ type: "code", ...entry });
+    }
+  }
+
+  if (/\S/.test(qpyodideTrailingMarkdown)) {
+    content.push({ type: "markdown", text: qpyodideTrailingMarkdown });
+  }
+
+  return content;
+}
+
+// Base name for the downloaded file, taken from the page address
+function qpyodideExportFileName(extension) {
+  const pageName = window.location.pathname.split("/").pop().replace(/\.html?$/, "");
+  return `${pageName || "index"}.${extension}`;
+}
+
+// Hand a file to the browser for download
+globalThis.qpyodideDownloadFile = function(contents, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Firefox and Safari may cancel the download if the URL goes away at once
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Build a Python script from the code cells
+globalThis.qpyodideCreatePythonScript = function() {
+  const codeCells = qpyodideCollectDocumentContent().filter((entry) => entry.type === "code");
+
+  return codeCells.map(
+    (entry, index) => `# %% Cell ${index + 1}\n${entry.code.trimEnd()}\n`
+  ).join("\n");
+}
+
+// Build a Jupyter notebook holding the prose, code, and current outputs
+globalThis.qpyodideCreateNotebook = function() {
+  const cells = qpyodideCollectDocumentContent().map((entry) => {
+    if (entry.type === "markdown") {
+      return {
+        cell_type: "markdown",
+        metadata: {},
+        source: qpyodideNotebookLines(entry.text.trimEnd())
+      };
+    }
+
+    const outputs = [];
+    if (/\S/.test(entry.text)) {
+      outputs.push({
+        output_type: "stream",
+        name: "stdout",
+        text: qpyodideNotebookLines(entry.text)
+      });
+    }
+    entry.figures.forEach((figure) => {
+      outputs.push({
+        output_type: "display_data",
+        data: { "image/png": figure },
+        metadata: {}
+      });
+    });
+
+    return {
+      cell_type: "code",
+      execution_count: null,
+      metadata: {},
+      outputs,
+      source: qpyodideNotebookLines(entry.code.trimEnd())
+    };
+  });
+
+  const notebook = {
+    cells,
+    metadata: {
+      kernelspec: { display_name: "Python 3", language: "python", name: "python3" },
+      language_info: { name: "python" }
+    },
+    nbformat: 4,
+    nbformat_minor: 4
+  };
+
+  return JSON.stringify(notebook, null, 1);
+}
+
+// Download the page as a `.py` script
+globalThis.qpyodideDownloadPythonScript = function() {
+  qpyodideDownloadFile(qpyodideCreatePythonScript(), qpyodideExportFileName("py"), "text/x-python");
+}
+
+// Download the page as an `.ipynb` notebook
+globalThis.qpyodideDownloadNotebook = function() {
+  qpyodideDownloadFile(qpyodideCreateNotebook(), qpyodideExportFileName("ipynb"), "application/x-ipynb+json");
+}
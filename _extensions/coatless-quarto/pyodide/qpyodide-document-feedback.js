@@ -0,0 +1,322 @@
+// AI feedback ----
+// Send code reviews to the feedback service configured under `pyodide.feedback`
+// in the document metadata. Three kinds of service are supported:
+//
+// - `provider: openai` talks to any OpenAI-compatible API, e.g. a hosted
+//   provider or a local model server, through `<endpoint>/chat/completions`.
+// - `provider: proxy` posts the messages to a self-hosted server that holds the
+//   credentials and answers in the same format, e.g. a small Flask app.
+// - `provider: offline` needs no service: the code is checked inside Pyodide
+//   by linters and the course rules. This review is also used when a service
+//   needs an API key that the student has not entered.
+//
+// With `stream: true` (the default for `openai`) the answer is requested as
+// server-sent events and handed over piece by piece while it is written.
+
+// Prompts used unless the document or the cell provides its own. Templates may
+// use the placeholders {code}, {output}, {exercise}, and {language}.
+const qpyodideDefaultFeedbackPrompts = {
+  system: "You are an AI Assistant, specialized in coding issues. You give concise answers, without asking further questions. Always answer in {language}.",
+  user: "The student is working on the following exercise (it may be empty):\n{exercise}\n\n" +
+    "Here is the output of the python interpreter:\n{output}\n\n" +
+    "Review the following Python code for errors and provide feedback. The code output, including any syntax errors, was provided above for detailed analysis. This is the source code of the user:\n{code}\n\n" +
+    "Your feedback should highlight both the strengths of the code and any potential errors, providing explanations where necessary. While you may offer tips for improvement, avoid providing exact code solutions. Focus on guiding the user towards better practices and understanding. Structure the feedback like this: Syntax errors: \n Strengths of the code: \n Potential improvements:\n "
+};
+
+// Put the values of a review into the placeholders of a prompt template
+function qpyodideFillPrompt(template, values) {
+  return template.replace(/\{(code|output|exercise|language)\}/g, (placeholder, name) => values[name]);
+}
+
+// Build the opening messages of a review. The cell options `feedback-prompt`
+// and `feedback-language` take precedence over the document settings.
+globalThis.qpyodideCreateFeedbackMessages = function({ code, output, exercise, prompt, language }) {
+  const values = {
+    code,
+    output,
+    exercise: exercise.trim(),
+    language: language || qpyodideFeedbackOptions.language || "English"
+  };
+
+  const systemTemplate = qpyodideFeedbackOptions.systemPrompt || qpyodideDefaultFeedbackPrompts.system;
+  const userTemplate = prompt || qpyodideFeedbackOptions.prompt || qpyodideDefaultFeedbackPrompts.user;
+
+  // Templates that leave out the code still send it along
+  let userPrompt = qpyodideFillPrompt(userTemplate, values);
+  if (!userTemplate.includes("{code}")) {
+    userPrompt += `\n\nThis is the source code of the user:\n${code}\n\nHere is the output of the python interpreter:\n${output}`;
+  }
+
+  return [
+    { role: "system", content: qpyodideFillPrompt(systemTemplate, values) },
+    { role: "user", content: userPrompt, context: true }
+  ];
+}
+
+// sessionStorage key holding the API key a student entered
+const qpyodideApiKeyStorageKey = "qpyodide-feedback-api-key";
+
+// Read the API key entered during this browser session
+globalThis.qpyodideGetApiKey = function() {
+  try {
+    return sessionStorage.getItem(qpyodideApiKeyStorageKey) ?? "";
+  } catch (err) {
+    // Storage can be unavailable, e.g. in private browsing
+    return "";
+  }
+}
+
+// Remember the API key for the rest of the browser session
+globalThis.qpyodideSetApiKey = function(apiKey) {
+  try {
+    if (apiKey) {
+      sessionStorage.setItem(qpyodideApiKeyStorageKey, apiKey);
+    } else {
+      sessionStorage.removeItem(qpyodideApiKeyStorageKey);
+    }
+  } catch (err) {
+    console.warn("Unable to remember the API key:", err.message);
+  }
+}
+
+// Headers sent along with every request to the feedback service
+function qpyodideFeedbackHeaders() {
+  const headers = { "Content-Type": "application/json" };
+
+  const apiKey = qpyodideGetApiKey();
+  if (apiKey) {
+    headers["Authorization"] = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+// Work out where a chat request goes and what it contains
+function qpyodideCreateFeedbackRequest(messages) {
+  const { provider, endpoint, model } = qpyodideFeedbackOptions;
+
+  if (provider === "proxy") {
+    // The proxy picks a model itself unless the course names one
+    const body = model ? { messages, model } : { messages };
+    return { url: endpoint, body };
+  }
+
+  // The endpoints also list models that cannot chat, e.g. speech models, so
+  // the course has to name the one to use
+  if (!model) {
+    throw new Error("No feedback model is configured. Set `model` under `pyodide.feedback` " +
+      "in the document metadata, e.g. `model: llama-3.3-70b-versatile`.");
+  }
+
+  const baseUrl = endpoint.replace(/\/+$/, "");
+  const body = { messages, model };
+  if (qpyodideFeedbackOptions.stream) {
+    body.stream = true;
+  }
+  return { url: `${baseUrl}/chat/completions`, body };
+}
+
+// Read a streamed answer, passing the text received so far to `onText`
+async function qpyodideReadFeedbackStream(response, onText) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  let text = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    // Events are separated by lines, the last of which may be incomplete
+    buffer += value;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith("data:")) {
+        continue;
+      }
+
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") {
+        return text;
+      }
+
+      const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onText(text);
+      }
+    }
+  }
+
+  return text;
+}
+
+// Read a complete JSON answer
+async function qpyodideReadFeedbackJSON(response) {
+  const data = await response.json();
+  const content = data?.choices?.[0]?.message?.content;
+  if (content === undefined) {
+    throw new Error("The 'choices' field is missing or empty in the response of the feedback service.");
+  }
+  return content;
+}
+
+// Send chat messages to the feedback service and return the text of its answer.
+// `signal` cancels the request and `onText` receives the text of a streamed
+// answer each time more of it arrives.
+globalThis.qpyodideRequestFeedback = async function(messages, { signal = null, onText = () => {} } = {}) {
+  if (qpyodideFeedbackOptions.askApiKey && !qpyodideGetApiKey()) {
+    throw new Error("Please enter your API key at the top of the page.");
+  }
+
+  const { url, body } = qpyodideCreateFeedbackRequest(messages);
+  const response = await fetch(url, {
+    method: "POST",
+    headers: qpyodideFeedbackHeaders(),
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!response.ok) {
+    throw new Error(`The feedback service answered with HTTP ${response.status}`);
+  }
+
+  // Services that ignore `stream` still send a single JSON answer
+  const contentType = response.headers.get("Content-Type") ?? "";
+  if (contentType.includes("text/event-stream")) {
+    return qpyodideReadFeedbackStream(response, onText);
+  }
+  return qpyodideReadFeedbackJSON(response);
+}
+
+// Whether the next review is made in the browser instead of by an AI service
+globalThis.qpyodideUseOfflineFeedback = function() {
+  return qpyodideFeedbackOptions.provider === "offline" ||
+    (qpyodideFeedbackOptions.askApiKey && !qpyodideGetApiKey());
+}
+
+// Write the findings of the offline review in the structure the AI uses
+globalThis.qpyodideFormatOfflineReview = function(review) {
+  const section = (title, findings) => {
+    const items = findings.length > 0 ? findings : ["None found."];
+    return `**${title}:**\n\n${items.map((finding) => `- ${finding}`).join("\n")}\n`;
+  };
+
+  return [
+    "_Automatic review in the browser, without AI._\n",
+    section("Syntax errors", review.syntax_errors),
+    section("Strengths of the code", review.strengths),
+    section("Potential improvements", review.improvements)
+  ].join("\n");
+}
+
+// Math segments that Markdown would otherwise mangle, e.g. `$\\partial f$`.
+// Fenced code blocks, including one still being written, and inline code
+// spans are matched first (group 1) so the dollar signs inside code stay code.
+const qpyodideMathPattern = /(^[ \t]*(`{3,}|~{3,})[\s\S]*?(?:^[ \t]*\2[`~]*[ \t]*$|(?![\s\S]))|(`+)[^`][\s\S]*?\3(?!`))|\$\$[\s\S]+?\$\$|\\\[[\s\S]+?\\\]|\\\([\s\S]+?\\\)|\$[^\s$](?:[^$\n]*?[^\s$])?\$/gm;
+
+// Set the math of feedback text aside behind placeholders, leaving code as it is
+function qpyodideSetAsideMath(text) {
+  const math = [];
+  const protectedText = text.replace(qpyodideMathPattern, (segment, code) => {
+    if (code) {
+      return segment;
+    }
+    math.push(segment);
+    return `QPYODIDEMATH${math.length - 1}END`;
+  });
+  return { protectedText, math };
+}
+
+// Escape text so it can be placed inside HTML, attribute values included
+globalThis.qpyodideEscapeHTML = function(text) {
+  const element = document.createElement("div");
+  element.textContent = text;
+  return element.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+// MathJax is only on the page when the document itself contains math
+let qpyodideMathJaxLoading = null;
+
+// Typeset the LaTeX inside an element, loading MathJax the first time it is needed
+globalThis.qpyodideTypesetMath = async function(element) {
+  if (!globalThis.MathJax?.typesetPromise) {
+    qpyodideMathJaxLoading ??= new Promise((resolve, reject) => {
+      // Only the math of the outputs and feedback is typeset, not the whole page
+      globalThis.MathJax ??= { startup: { typeset: false } };
+      const script = document.createElement("script");
+      script.src = "https://cdn.jsdelivr.net/npm/mathjax@3.2.2/es5/tex-chtml-full.js";
+      script.integrity = "sha384-NR8saakDju74wZ6sprPPhEoWbaP3iVtXVJH12mRSiaIgxMdi33mOQj8bnF2WxzY3";
+      script.crossOrigin = "anonymous";
+      script.referrerPolicy = "no-referrer";
+      script.onload = () => MathJax.startup.promise.then(resolve);
+      script.onerror = reject;
+      document.head.appendChild(script);
+    });
+    await qpyodideMathJaxLoading;
+  }
+  await MathJax.typesetPromise([element]);
+}
+
+// Write math with the delimiters MathJax looks for on Quarto pages
+function qpyodideNormalizeMath(math) {
+  if (math.startsWith("$$")) {
+    return `\\[${math.slice(2, -2)}\\]`;
+  }
+  if (math.startsWith("$")) {
+    return `\\(${math.slice(1, -1)}\\)`;
+  }
+  return math;
+}
+
+// Turn feedback text into sanitized HTML. Math is set aside while the Markdown
+// is parsed and put back, escaped, before the HTML is sanitized. The answer
+// follows the student's code and prompt, so nothing is inserted after that.
+function qpyodideFeedbackToHTML(text) {
+  const { protectedText, math } = qpyodideSetAsideMath(text);
+
+  const restoreMath = (html) => html.replace(/QPYODIDEMATH(\d+)END/g,
+    (placeholder, index) => qpyodideEscapeHTML(qpyodideNormalizeMath(math[index])));
+
+  if (globalThis.marked && globalThis.DOMPurify) {
+    return DOMPurify.sanitize(restoreMath(marked.parse(protectedText)));
+  }
+
+  // Without the Markdown libraries, show the text as it is
+  return restoreMath(qpyodideEscapeHTML(protectedText).replace(/\n/g, "<br>"));
+}
+
+// Colour the Python code blocks of the feedback like the editors on the page
+async function qpyodideHighlightFeedbackCode(element) {
+  if (!globalThis.monaco) {
+    return;
+  }
+
+  for (const code of element.querySelectorAll("pre code")) {
+    const language = [...code.classList]
+      .find((name) => name.startsWith("language-"))?.slice("language-".length) ?? "python";
+    if (language !== "python" && language !== "py") {
+      continue;
+    }
+
+    // Monaco escapes the code while colouring it
+    code.innerHTML = await monaco.editor.colorize(code.textContent, "python", {});
+    code.classList.add("qpyodide-feedback-code");
+  }
+}
+
+// Show feedback text in an element as Markdown. Code highlighting and math
+// typesetting wait until the answer is complete, as they are slow to redo.
+globalThis.qpyodideRenderFeedback = async function(element, text, complete = false) {
+  element.innerHTML = qpyodideFeedbackToHTML(text);
+
+  if (!complete) {
+    return;
+  }
+
+  await qpyodideHighlightFeedbackCode(element);
+  if (qpyodideSetAsideMath(text).math.length > 0) {
+    await qpyodideTypesetMath(element);
+  }
+}
@@ -0,0 +1,189 @@
+// Course progress ----
+// Record which cells a student has run and which exercises they have passed on
+// every page of the course. Progress is kept in localStorage, summarised in the
+// status header, and can be exported as JSON to hand in.
+
+// localStorage key shared by all pages of the course
+const qpyodideProgressStorageKey = "qpyodide-progress";
+
+// Read the recorded progress, starting fresh when nothing usable is stored
+function qpyodideLoadProgress() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(qpyodideProgressStorageKey));
+    if (stored && stored.pages) {
+      return stored;
+    }
+  } catch (err) {
+    // Storage can be unavailable, e.g. in private browsing
+  }
+  return { version: 1, pages: {} };
+}
+
+// Write the progress back, keeping the page usable when storage is unavailable
+function qpyodideSaveProgress(progress) {
+  try {
+    localStorage.setItem(qpyodideProgressStorageKey, JSON.stringify(progress));
+  } catch (err) {
+    console.warn("Unable to save the course progress:", err.message);
+  }
+}
+
+// Cells are recorded by label so progress survives edits to the page
+function qpyodideProgressLabel(cell) {
+  return String(cell.options.label || cell.id);
+}
+
+// Update the entry of a cell on the current page and save the result
+function qpyodideUpdateCellProgress(label, isExercise, update) {
+  const progress = qpyodideLoadProgress();
+
+  const page = progress.pages[window.location.pathname] ??= { cells: {} };
+  page.title = document.title;
+
+  const entry = page.cells[label] ??= { exercise: isExercise, runs: 0, passed: false };
+  update(entry);
+
+  qpyodideSaveProgress(progress);
+  qpyodideDisplayProgress();
+}
+
+// Register the exercises of the page so they count towards the total
+// before the student has attempted them
+function qpyodideRegisterPageExercises() {
+  qpyodideCellDetails
+    .filter((cellData) => cellData.options.context === "exercise")
+    .forEach((cellData) => {
+      qpyodideUpdateCellProgress(qpyodideProgressLabel(cellData), true, () => {});
+    });
+}
+
+// Record a run of a cell started by the student
+globalThis.qpyodideRecordCellRun = function(cell) {
+  qpyodideUpdateCellProgress(qpyodideProgressLabel(cell), false, (entry) => {
+    entry.runs += 1;
+    entry.lastRun = new Date().toISOString();
+  });
+}
+
+// Record the outcome of the checks of an exercise. Once passed, an exercise
+// stays passed even if a later attempt fails.
+globalThis.qpyodideRecordExerciseResult = function(cell, checks) {
+  const passedCount = checks.filter((check) => check.passed).length;
+  const passed = checks.length > 0 && passedCount === checks.length;
+
+  qpyodideUpdateCellProgress(qpyodideProgressLabel(cell), true, (entry) => {
+    entry.exercise = true;
+    entry.lastResult = `${passedCount}/${checks.length}`;
+    if (passed && !entry.passed) {
+      entry.passed = true;
+      entry.passedAt = new Date().toISOString();
+    }
+  });
+}
+
+// Count passed exercises and cells run, for the course or a single page
+function qpyodideSummarizeProgress(pages) {
+  const cells = pages.flatMap((page) => Object.values(page.cells));
+  const exercises = cells.filter((entry) => entry.exercise);
+
+  return {
+    exercisesPassed: exercises.filter((entry) => entry.passed).length,
+    exercisesTotal: exercises.length,
+    cellsRun: cells.filter((entry) => entry.runs > 0).length
+  };
+}
+
+// Describe a summary in a single line
+function qpyodideDescribeProgress({ exercisesPassed, exercisesTotal, cellsRun }) {
+  return `${exercisesPassed}/${exercisesTotal} exercises passed, ${cellsRun} cells run`;
+}
+
+// Build a table with one row per visited page
+function qpyodideCreateProgressTable(progress) {
+  const table = document.createElement("table");
+  table.className = "table table-sm qpyodide-progress-table";
+
+  const head = table.createTHead().insertRow();
+  ["Page", "Exercises passed", "Cells run"].forEach((heading) => {
+    const cell = document.createElement("th");
+    cell.innerText = heading;
+    head.appendChild(cell);
+  });
+
+  const body = table.createTBody();
+  Object.entries(progress.pages).forEach(([path, page]) => {
+    const summary = qpyodideSummarizeProgress([page]);
+    const row = body.insertRow();
+
+    const link = document.createElement("a");
+    link.href = path;
+    link.innerText = page.title || path;
+    row.insertCell().appendChild(link);
+
+    row.insertCell().innerText = `${summary.exercisesPassed}/${summary.exercisesTotal}`;
+    row.insertCell().innerText = summary.cellsRun;
+  });
+
+  return table;
+}
+
+// Show the progress in the status header and in the progress report, if the
+// page has one (a `#qpyodide-progress-report` div)
+globalThis.qpyodideDisplayProgress = function() {
+  const progress = qpyodideLoadProgress();
+  const description = qpyodideDescribeProgress(
+    qpyodideSummarizeProgress(Object.values(progress.pages))
+  );
+
+  const headerSummary = document.getElementById("qpyodide-progress-summary");
+  if (headerSummary) {
+    headerSummary.innerText = `Progress: ${description}`;
+  }
+
+  const report = document.getElementById("qpyodide-progress-report");
+  if (!report) {
+    return;
+  }
+
+  report.innerHTML = "";
+
+  const total = document.createElement("p");
+  total.className = "qpyodide-progress-total";
+  total.innerText = `Course progress: ${description}`;
+  report.appendChild(total);
+
+  if (Object.keys(progress.pages).length > 0) {
+    report.appendChild(qpyodideCreateProgressTable(progress));
+  }
+
+  const exportButton = document.createElement("button");
+  exportButton.className = "btn btn-default qpyodide-button qpyodide-button-download-progress";
+  exportButton.type = "button";
+  exportButton.innerHTML = '<i class="fa-solid fa-download"></i> <span>Export progress (.json)</span>';
+  exportButton.onclick = function () {
+    qpyodideDownloadProgress();
+  };
+  report.appendChild(exportButton);
+}
+
+// Download the progress of the whole course as a JSON file
+globalThis.qpyodideDownloadProgress = function() {
+  const progress = qpyodideLoadProgress();
+  const report = {
+    exportedAt: new Date().toISOString(),
+    summary: qpyodideSummarizeProgress(Object.values(progress.pages)),
+    pages: progress.pages
+  };
+
+  qpyodideDownloadFile(JSON.stringify(report, null, 2), "qpyodide-progress.json", "application/json");
+}
+
+// Keep the summary current when another page of the course records progress
+window.addEventListener("storage", (event) => {
+  if (event.key === qpyodideProgressStorageKey) {
+    qpyodideDisplayProgress();
+  }
+});
+
+qpyodideRegisterPageExercises();
+qpyodideDisplayProgress();
@@ -15,19 +15,18 @@ globalThis.qpyodideCustomizedPyodideOptions = {
   "env": {
     "HOME": "{{HOMEDIR}}",
   }, 
-  stdout: (text) => {qpyodideAddToOutputArray(text, "out");},
-  stderr: (text) => {qpyodideAddToOutputArray(text, "error");}
+  stdout: (text) => {qpyodideWriteOutput(text, "stdout");},
+  stderr: (text) => {qpyodideWriteOutput(text, "stderr");}
 }
 
 // Store cell data
 globalThis.qpyodideCellDetails = {{QPYODIDECELLDETAILS}};
 
-/* Set variable for backend 
-for Groq Server: "groq"
-for flask Server: "flask"*/
-globalThis.backend = "groq";
+// Store the Markdown that follows the last cell for notebook exports
+globalThis.qpyodideTrailingMarkdown = {{QPYODIDETRAILINGMARKDOWN}};
 
-/* Set if there should be a button for feedback
-with feedback button: true
-without feedback button: false */
-globalThis.feedback = false;
\ No newline at end of file
+// Describe the feedback service set under `pyodide.feedback`
+globalThis.qpyodideFeedbackOptions = {{FEEDBACKOPTIONS}};
+
+// Show a feedback button on editable cells?
+globalThis.feedback = qpyodideFeedbackOptions.enabled;
\ No newline at end of file
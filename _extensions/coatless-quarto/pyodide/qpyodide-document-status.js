@@ -26,6 +26,21 @@ globalThis.qpyodideUpdateStatusHeader = function(message) {
     <span>${message}</span>`;
 }
 
+// Allow or block restarting the interpreter from the status header
+globalThis.qpyodideSetRestartButtonState = function(enabled) {
+  const restartButton = document.getElementById("qpyodide-button-restart");
+  if (restartButton) {
+    restartButton.disabled = !enabled;
+  }
+}
+
+// Tell the reader that a fresh interpreter could not be started
+globalThis.qpyodideReportRestartFailure = function(err) {
+  console.error("Unable to restart the Python interpreter:", err);
+  qpyodideStartupMessage.innerText =
+    `Python interpreter: 🔴 Restart failed: ${err.message}. Reload the page to try again.`;
+}
+
 // Function that attaches the document status message
 function qpyodideDisplayStartupMessage(showStartupMessage) {
   if (!showStartupMessage) {
@@ -63,8 +78,96 @@ function qpyodideDisplayStartupMessage(showStartupMessage) {
   // Add `aria-live` to auto-announce the startup status to screen readers
   qpyodideStartupMessage.setAttribute("aria-live", "assertive");
 
+  // Create a button that resets the Python environment of the page
+  const restartButton = document.createElement("button");
+  restartButton.className = "btn btn-default qpyodide-button qpyodide-button-restart";
+  restartButton.type = "button";
+  restartButton.id = "qpyodide-button-restart";
+  restartButton.title = "Restart the Python interpreter and clear all outputs";
+  restartButton.innerHTML = '<i class="fa-solid fa-power-off"></i> <span>Restart</span>';
+  // Enabled once the interpreter has finished starting up
+  restartButton.disabled = true;
+  restartButton.onclick = async function () {
+    restartButton.disabled = true;
+    try {
+      await qpyodideRestartInterpreter();
+    } catch (err) {
+      qpyodideReportRestartFailure(err);
+    } finally {
+      restartButton.disabled = false;
+    }
+  };
+
+  // Create buttons that download all cells of the page
+  const downloadScriptButton = document.createElement("button");
+  downloadScriptButton.className = "btn btn-default qpyodide-button qpyodide-button-download-script";
+  downloadScriptButton.type = "button";
+  downloadScriptButton.id = "qpyodide-button-download-script";
+  downloadScriptButton.title = "Download the code of all cells as a Python script";
+  downloadScriptButton.innerHTML = '<i class="fa-solid fa-download"></i> <span>.py</span>';
+  downloadScriptButton.onclick = function () {
+    qpyodideDownloadPythonScript();
+  };
+
+  const downloadNotebookButton = document.createElement("button");
+  downloadNotebookButton.className = "btn btn-default qpyodide-button qpyodide-button-download-notebook";
+  downloadNotebookButton.type = "button";
+  downloadNotebookButton.id = "qpyodide-button-download-notebook";
+  downloadNotebookButton.title = "Download the page with its code and outputs as a Jupyter notebook";
+  downloadNotebookButton.innerHTML = '<i class="fa-solid fa-download"></i> <span>.ipynb</span>';
+  downloadNotebookButton.onclick = function () {
+    qpyodideDownloadNotebook();
+  };
+
+  // Create the summary of the course progress, filled in by the progress module
+  const progressSummary = document.createElement("span");
+  progressSummary.id = "qpyodide-progress-summary";
+  progressSummary.className = "qpyodide-progress-summary";
+
+  const downloadProgressButton = document.createElement("button");
+  downloadProgressButton.className = "btn btn-default qpyodide-button qpyodide-button-download-progress";
+  downloadProgressButton.type = "button";
+  downloadProgressButton.id = "qpyodide-button-download-progress";
+  downloadProgressButton.title = "Download the progress of the whole course as JSON";
+  downloadProgressButton.innerHTML = '<i class="fa-solid fa-download"></i> <span>Progress</span>';
+  downloadProgressButton.onclick = function () {
+    qpyodideDownloadProgress();
+  };
+
+  // Ask for the API key of the feedback service when the course requires one
+  const apiKeyArea = document.createElement("span");
+  apiKeyArea.className = "qpyodide-api-key-area";
+  if (qpyodideFeedbackOptions.enabled && qpyodideFeedbackOptions.askApiKey) {
+    const apiKeyInput = document.createElement("input");
+    apiKeyInput.type = "password";
+    apiKeyInput.id = "qpyodide-api-key-input";
+    apiKeyInput.className = "form-control form-control-sm qpyodide-api-key-input";
+    apiKeyInput.placeholder = "API key for AI feedback";
+    apiKeyInput.setAttribute("aria-label", "API key for AI feedback");
+    apiKeyInput.value = qpyodideGetApiKey();
+
+    const saveApiKeyButton = document.createElement("button");
+    saveApiKeyButton.className = "btn btn-default qpyodide-button qpyodide-button-save-key";
+    saveApiKeyButton.type = "button";
+    saveApiKeyButton.id = "qpyodide-button-save-key";
+    saveApiKeyButton.title = "Keep the API key until the browser tab is closed";
+    saveApiKeyButton.innerHTML = '<i class="fa-solid fa-key"></i> <span>Save key</span>';
+    saveApiKeyButton.onclick = function () {
+      qpyodideSetApiKey(apiKeyInput.value.trim());
+    };
+
+    apiKeyArea.appendChild(apiKeyInput);
+    apiKeyArea.appendChild(saveApiKeyButton);
+  }
+
   // Append the startup message to the contents
   secondInnerDivContents.appendChild(qpyodideStartupMessage);
+  secondInnerDivContents.appendChild(restartButton);
+  secondInnerDivContents.appendChild(downloadScriptButton);
+  secondInnerDivContents.appendChild(downloadNotebookButton);
+  secondInnerDivContents.appendChild(progressSummary);
+  secondInnerDivContents.appendChild(downloadProgressButton);
+  secondInnerDivContents.appendChild(apiKeyArea);
 
   // Combine the inner divs and contents
   firstInnerDiv.appendChild(secondInnerDiv);
@@ -0,0 +1,739 @@
+// Pyodide worker ----
+// Runs the Python interpreter away from the main thread so that long running
+// cells do not freeze the page. The main thread talks to this worker through
+// the engine defined in `qpyodide-document-engine-initialization.js`.
+
+// Python helpers that are installed into the worker as the `_qpyodide` module
+const qpyodideHelperModule = `
+import __main__
+import ast
+import base64
+import builtins
+import io
+import re
+
+import matplotlib
+matplotlib.use("agg")
+import matplotlib.pyplot as plt
+
+# Global matplotlib defaults (uniform figures, no toolbar)
+matplotlib.rcParams["figure.figsize"] = (6, 4)
+matplotlib.rcParams["toolbar"] = "None"
+
+# Figures rendered by plt.show() during the current run
+_shown_figures = []
+
+# Figures kept alive so they can be exported later, by id and by cell
+_figure_registry = {}
+_cell_figures = {}
+_next_figure_id = 0
+
+# Settings of the current run
+_run_settings = {"cell_id": "default", "dpi": 100, "pixel_ratio": 1, "whole_cell": True}
+
+# Values shown by display() or as the last expression during the current run
+_displays = []
+
+# Representations looked up by display(), richest first
+_DISPLAY_FORMATS = (
+    ("html", "_repr_html_"),
+    ("latex", "_repr_latex_"),
+    ("svg", "_repr_svg_"),
+    ("png", "_repr_png_"),
+)
+
+
+def begin_run(cell_id, fig_width, fig_height, dpi, pixel_ratio, whole_cell):
+    # Close stale figures so they never reappear in a later run. Runs of a
+    # single line or a selection keep them, so a plot can be built step by step.
+    if whole_cell:
+        plt.close("all")
+
+    # Forget the figures left over from the previous run of the cell
+    for figure_id in _cell_figures.pop(cell_id, []):
+        _figure_registry.pop(figure_id, None)
+
+    matplotlib.rcParams["figure.figsize"] = (fig_width, fig_height)
+    _run_settings.update(cell_id=cell_id, dpi=dpi, pixel_ratio=pixel_ratio, whole_cell=whole_cell)
+    _displays.clear()
+
+
+def _render_figure(fig, format="png", dpi=None):
+    buffer = io.BytesIO()
+    fig.savefig(buffer, format=format, dpi=dpi)
+    return buffer.getvalue()
+
+
+def _capture_figure(fig):
+    global _next_figure_id
+
+    _next_figure_id += 1
+    _figure_registry[_next_figure_id] = fig
+    _cell_figures.setdefault(_run_settings["cell_id"], []).append(_next_figure_id)
+
+    # Render sharper than requested so the image stays crisp when scaled
+    png = _render_figure(fig, "png", _run_settings["dpi"] * _run_settings["pixel_ratio"])
+    _shown_figures.append({
+        "id": _next_figure_id,
+        "png": base64.b64encode(png).decode("ascii"),
+    })
+
+    # The figure stays in the registry for downloads
+    plt.close(fig)
+
+
+def _capture_open_figures():
+    for num in plt.get_fignums():
+        _capture_figure(plt.figure(num))
+
+
+def show(*args, **kwargs):
+    # Every open figure is drawn and closed, so it is only shown once
+    _capture_open_figures()
+
+
+def export_figure(figure_id, format, dpi):
+    if figure_id not in _figure_registry:
+        raise KeyError("The figure is no longer available. Run the cell again to download it.")
+
+    data = _render_figure(_figure_registry[figure_id], format, dpi)
+    if format == "svg":
+        return data.decode("utf-8")
+    return base64.b64encode(data).decode("ascii")
+
+
+def take_figures():
+    # Figures the cell created without calling plt.show() are included too,
+    # except after a line or selection run, where the plot may not be done yet
+    if _run_settings["whole_cell"]:
+        _capture_open_figures()
+
+    figures = list(_shown_figures)
+    _shown_figures.clear()
+    return figures
+
+
+plt.show = show
+
+
+def _display_bundle(obj):
+    # The plain text of a value and its richest representation, if any
+    bundle = {"text": repr(obj)}
+    if isinstance(obj, type):
+        return bundle
+
+    for key, method in _DISPLAY_FORMATS:
+        try:
+            data = getattr(obj, method)()
+        except Exception:
+            continue
+        # IPython allows a (data, metadata) pair
+        if isinstance(data, tuple):
+            data = data[0]
+        if isinstance(data, bytes):
+            data = base64.b64encode(data).decode("ascii") if key == "png" else data.decode("utf-8")
+        if data:
+            bundle[key] = data
+            break
+    return bundle
+
+
+def display(*objs):
+    # Show values in the output area like display() in Jupyter. Figures are
+    # shown the way plt.show() shows them.
+    for obj in objs:
+        if isinstance(obj, matplotlib.figure.Figure):
+            _capture_figure(obj)
+        else:
+            _displays.append(_display_bundle(obj))
+
+
+def display_result(obj):
+    # Show the value of the last expression richly when it offers more than
+    # text. Plain values stay in the text output.
+    bundle = _display_bundle(obj)
+    if len(bundle) == 1:
+        return False
+    _displays.append(bundle)
+    return True
+
+
+def take_displays():
+    displays = list(_displays)
+    _displays.clear()
+    return displays
+
+
+builtins.display = display
+
+
+def _check_description(source, node):
+    # Prefer the message of an assert statement, otherwise show its source
+    if isinstance(node, ast.Assert) and isinstance(node.msg, ast.Constant):
+        return str(node.msg.value)
+    return ast.get_source_segment(source, node)
+
+
+def run_checks(source):
+    # Run the hidden checks of an exercise one statement at a time inside the
+    # namespace of the student's code, reporting every assert on its own
+    namespace = __main__.__dict__
+    results = []
+
+    for node in ast.parse(source, "<check>").body:
+        statement = compile(ast.Module(body=[node], type_ignores=[]), "<check>", "exec")
+        description = _check_description(source, node)
+        try:
+            exec(statement, namespace)
+        except AssertionError as err:
+            results.append({"passed": False, "message": str(err) or description})
+            continue
+        except Exception as err:
+            results.append({"passed": False, "message": f"{description}: {type(err).__name__}: {err}"})
+            break
+
+        if isinstance(node, ast.Assert):
+            results.append({"passed": True, "message": description})
+
+    return results
+
+
+def _defined_in_namespace(message):
+    # Names defined by earlier cells live in the shared namespace, and
+    # display() is added to the builtins
+    if type(message).__name__ != "UndefinedName":
+        return False
+    name = message.message_args[0]
+    return name in __main__.__dict__ or hasattr(builtins, name)
+
+
+def _pyflakes_findings(tree):
+    try:
+        from pyflakes import checker
+    except ImportError:
+        return []
+
+    findings = []
+    messages = checker.Checker(tree, filename="<cell>").messages
+    for message in sorted(messages, key=lambda message: message.lineno):
+        if _defined_in_namespace(message):
+            continue
+        findings.append(f"Line {message.lineno}: {message.message % message.message_args}")
+    return findings
+
+
+def _pycodestyle_findings(source):
+    try:
+        import pycodestyle
+    except ImportError:
+        return []
+
+    findings = []
+
+    class _Report(pycodestyle.BaseReport):
+        def error(self, line_number, offset, text, check):
+            code = super().error(line_number, offset, text, check)
+            if code:
+                findings.append(f"Line {line_number}: {text}")
+            return code
+
+    # A cell is not a whole file, so missing final newlines are not reported
+    ignore = pycodestyle.DEFAULT_IGNORE.split(",") + ["W292", "W391"]
+    style = pycodestyle.StyleGuide(quiet=True, max_line_length=99, ignore=ignore, reporter=_Report)
+    checker = pycodestyle.Checker(lines=source.splitlines(True), options=style.options)
+    checker.check_all()
+    return findings
+
+
+def _is_pyplot_call(node, name):
+    return (
+        isinstance(node, ast.Call)
+        and isinstance(node.func, ast.Attribute)
+        and node.func.attr == name
+        and isinstance(node.func.value, ast.Name)
+        and node.func.value.id == "plt"
+    )
+
+
+def _course_findings(tree, review):
+    # Rules from MATPLOTLIB_STYLE_GUIDE.md
+    nodes = list(ast.walk(tree))
+    uses_pyplot = any(isinstance(node, ast.Name) and node.id == "plt" for node in nodes)
+    if not uses_pyplot:
+        return
+
+    # plt.close("all") is not needed and several figures per cell are fine,
+    # as earlier figures are closed before each run
+    shows = [node for node in nodes if _is_pyplot_call(node, "show")]
+    figures = [node for node in nodes if _is_pyplot_call(node, "figure")]
+    subplots = [node for node in nodes if _is_pyplot_call(node, "subplots")]
+
+    if shows:
+        review["strengths"].append("plt.show() displays the finished figures.")
+
+    if figures and subplots:
+        review["improvements"].append(
+            f"plt.figure() (line {figures[0].lineno}) and plt.subplots() (line {subplots[0].lineno}) "
+            "are both used, which leaves an extra empty figure. Use plt.subplots() only."
+        )
+    elif subplots:
+        review["strengths"].append("The figure is created explicitly with plt.subplots().")
+
+    last = tree.body[-1] if tree.body else None
+    if isinstance(last, ast.Expr) and isinstance(last.value, ast.Name) and last.value.id in ("fig", "figure"):
+        review["improvements"].append(
+            f"The last line only names '{last.value.id}', which prints text like Figure(600x400). "
+            "End the cell with plt.show() instead."
+        )
+
+
+def _general_strengths(tree, source, review):
+    nodes = list(ast.walk(tree))
+    functions = [node for node in nodes if isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef))]
+    if functions:
+        documented = [node for node in functions if ast.get_docstring(node)]
+        review["strengths"].append(
+            f"The code is organised in {len(functions)} function(s)"
+            + (f", {len(documented)} of them with a docstring." if documented else ".")
+        )
+    if any(line.lstrip().startswith("#") for line in source.splitlines()):
+        review["strengths"].append("Comments explain what the code does.")
+
+
+def review_code(source):
+    # Review code without an AI service: syntax, pyflakes and pycodestyle
+    # findings, and the plotting rules of the course
+    review = {"syntax_errors": [], "strengths": [], "improvements": []}
+
+    try:
+        tree = ast.parse(source, "<cell>")
+    except SyntaxError as err:
+        review["syntax_errors"].append(f"Line {err.lineno}: {err.msg}")
+        return review
+
+    review["improvements"].extend(_pyflakes_findings(tree))
+    review["improvements"].extend(_pycodestyle_findings(source))
+    _course_findings(tree, review)
+    _general_strengths(tree, source, review)
+
+    if not review["syntax_errors"]:
+        review["strengths"].insert(0, "The code has no syntax errors.")
+    return review
+
+
+_FRAME_PATTERN = re.compile(r'^  File "(.*)", line ([0-9]+)(?:, in (.*))?$')
+
+
+def clean_traceback(message, source, filename, first_line):
+    # Keep the frames of code typed on the page and drop those of Pyodide and
+    # of libraries. Frames of this run are numbered like the lines of the
+    # editor the code came from, starting at first_line.
+    source_lines = source.splitlines()
+    cleaned = []
+    error_line = None
+    in_frames = False
+    keep_details = False
+    for text in message.rstrip().splitlines():
+        match = _FRAME_PATTERN.match(text)
+        if match:
+            frame_file, frame_line, function = match.groups()
+            frame_line = int(frame_line)
+            in_frames = True
+            keep_details = False
+            # Pyodide versions without the filename option report "<exec>"
+            if frame_file in (filename, "<exec>"):
+                error_line = frame_line + first_line - 1
+                cleaned.append(f"  line {error_line}" + (f", in {function}" if function else ""))
+                if function is None:
+                    # A syntax error brings its own source line and caret
+                    keep_details = True
+                elif 0 < frame_line <= len(source_lines):
+                    cleaned.append("    " + source_lines[frame_line - 1].strip())
+            elif frame_file.startswith("<"):
+                cleaned.append(f"  code run earlier, line {frame_line}, in {function}")
+            continue
+
+        if in_frames and text.startswith("  "):
+            if keep_details:
+                cleaned.append(text)
+            continue
+
+        in_frames = text.startswith("Traceback")
+        keep_details = False
+        cleaned.append(text)
+
+    return {"traceback": cleaned, "line": error_line}
+
+
+def _jedi_interpreter(source):
+    # Suggestions know the variables, functions and modules of the running
+    # session, not only the code in the editor
+    import jedi
+    return jedi.Interpreter(source, [__main__.__dict__])
+
+
+def complete(source, line, column):
+    # Names that fit at the cursor. Lines start at 1, columns at 0.
+    try:
+        completions = _jedi_interpreter(source).complete(line, column)
+    except Exception:
+        return []
+    return [{"name": completion.name, "type": completion.type} for completion in completions[:200]]
+
+
+def describe_completion(source, line, column, name):
+    # Signature and docstring of one suggestion, looked up when it is selected
+    try:
+        for completion in _jedi_interpreter(source).complete(line, column):
+            if completion.name == name:
+                signatures = completion.get_signatures()
+                return {
+                    "signature": signatures[0].to_string() if signatures else completion.description,
+                    "docstring": completion.docstring(raw=True),
+                }
+    except Exception:
+        pass
+    return None
+
+
+def signature_help(source, line, column):
+    # Parameters of the call the cursor is in
+    try:
+        signatures = _jedi_interpreter(source).get_signatures(line, column)
+    except Exception:
+        return None
+    if not signatures:
+        return None
+    return {
+        "signatures": [
+            {
+                "label": signature.to_string(),
+                "docstring": signature.docstring(raw=True),
+                "parameters": [param.to_string() for param in signature.params],
+            }
+            for signature in signatures
+        ],
+        "active_parameter": signatures[0].index or 0,
+    }
+
+
+def lint_code(source):
+    # Diagnostics shown in the editor while typing. Lines and columns start at 1,
+    # a missing end column stands for the end of the line.
+    try:
+        compile(source, "<cell>", "exec", flags=ast.PyCF_ALLOW_TOP_LEVEL_AWAIT, dont_inherit=True)
+        tree = ast.parse(source, "<cell>")
+    except SyntaxError as err:
+        line = err.lineno or 1
+        column = err.offset or 1
+        end_line = err.end_lineno or line
+        end_column = err.end_offset
+        if end_column is None or (end_line == line and end_column <= column):
+            end_line, end_column = line, column + 1
+        return [{
+            "severity": "error",
+            "source": "Python",
+            "message": f"{type(err).__name__}: {err.msg}",
+            "line": line,
+            "column": column,
+            "end_line": end_line,
+            "end_column": end_column,
+            "unnecessary": False,
+        }]
+
+    try:
+        from pyflakes import checker
+    except ImportError:
+        return []
+
+    diagnostics = []
+    for message in checker.Checker(tree, filename="<cell>").messages:
+        kind = type(message).__name__
+        # compile rejected real yields already, so this is a top-level await
+        if _defined_in_namespace(message) or kind == "YieldOutsideFunction":
+            continue
+        column = message.col + 1
+        diagnostics.append({
+            "severity": "error" if kind in ("UndefinedName", "UndefinedLocal") else "warning",
+            "source": "pyflakes",
+            "message": message.message % message.message_args,
+            "line": message.lineno,
+            "column": column,
+            "end_line": message.lineno,
+            "end_column": column + len(message.message_args[0]) if kind == "UndefinedName" else None,
+            "unnecessary": kind in ("UnusedImport", "UnusedVariable"),
+        })
+    return diagnostics
+`;
+
+// Pyodide instance owned by the worker
+let pyodide = null;
+
+// Python helper module
+let qpyodideHelpers = null;
+
+// Loading of jedi, which powers completion in the editors
+let qpyodideJediLoading = null;
+
+// Printed lines waiting to be sent to the main thread, all from one stream
+let qpyodideOutputBuffer = { type: null, lines: [] };
+let qpyodideOutputFlushedAt = 0;
+
+// Printed lines are sent at most about once per frame, or sooner when many
+// lines are waiting
+const qpyodideOutputFlushInterval = 16;
+const qpyodideOutputMaxBufferedLines = 500;
+
+// Count runs so each one gets its own file name in tracebacks
+let qpyodideRunCounter = 0;
+
+// Shared memory used by the main thread to raise KeyboardInterrupt
+let qpyodideInterruptBuffer = null;
+
+// Installation of the linters used by the offline review and the editor
+let qpyodideLintersInstallation = null;
+
+// Install pyflakes and pycodestyle from PyPI once. Without them the checks
+// still report syntax errors.
+function qpyodideLoadLinters() {
+  if (!qpyodideLintersInstallation) {
+    qpyodideLintersInstallation = qpyodideHandlers.installPackage({
+      name: ["pyflakes", "pycodestyle"]
+    }).catch((err) => {
+      console.warn("Unable to install the Python linters:", err.message);
+    });
+  }
+  return qpyodideLintersInstallation;
+}
+
+// Send a message back to the main thread
+function qpyodideReply(id, type, payload) {
+  self.postMessage({ id, type, payload });
+}
+
+// Send the buffered lines as one message
+function qpyodideFlushOutput() {
+  if (qpyodideOutputBuffer.lines.length > 0) {
+    qpyodideReply(null, qpyodideOutputBuffer.type, qpyodideOutputBuffer.lines.join("\n"));
+  }
+  qpyodideOutputBuffer = { type: null, lines: [] };
+  qpyodideOutputFlushedAt = performance.now();
+}
+
+// Buffer a printed line so a loop printing thousands of lines does not flood
+// the main thread. Timers cannot fire while Python code blocks the worker, so
+// every write decides on the spot whether to send the buffer. A loop printing
+// less often than once per frame therefore shows each line right away.
+function qpyodideWriteOutput(type, text) {
+  if (qpyodideOutputBuffer.type !== type) {
+    qpyodideFlushOutput();
+    qpyodideOutputBuffer.type = type;
+  }
+  qpyodideOutputBuffer.lines.push(text);
+
+  if (performance.now() - qpyodideOutputFlushedAt >= qpyodideOutputFlushInterval ||
+      qpyodideOutputBuffer.lines.length >= qpyodideOutputMaxBufferedLines) {
+    qpyodideFlushOutput();
+  }
+}
+
+// Convert a value returned by Python into something `postMessage` can clone
+function qpyodideToClonable(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  if (value instanceof pyodide.ffi.PyProxy) {
+    const text = value.toString();
+    value.destroy();
+    return text;
+  }
+
+  return value;
+}
+
+// Convert a dict or list returned by a helper into plain objects
+function qpyodideHelperResult(value) {
+  if (!(value instanceof pyodide.ffi.PyProxy)) {
+    return value ?? null;
+  }
+
+  const result = value.toJs({ dict_converter: Object.fromEntries });
+  value.destroy();
+  return result;
+}
+
+// Load jedi from the Pyodide distribution the first time it is needed.
+// Without it the editors simply offer no suggestions.
+function qpyodideLoadJedi() {
+  if (!qpyodideJediLoading) {
+    qpyodideJediLoading = pyodide.loadPackage("jedi").catch((err) => {
+      console.warn("Unable to load jedi for code completion:", err.message);
+    });
+  }
+  return qpyodideJediLoading;
+}
+
+// Retrieve and clear the figures produced during the last run
+function qpyodideTakeFigures() {
+  const figuresProxy = qpyodideHelpers.take_figures();
+  const figures = figuresProxy.toJs({ dict_converter: Object.fromEntries });
+  figuresProxy.destroy();
+  return figures;
+}
+
+// Request handlers keyed by message type
+const qpyodideHandlers = {
+
+  async init({ indexURL, env, interruptBuffer }) {
+    importScripts(indexURL + "pyodide.js");
+
+    pyodide = await loadPyodide({
+      indexURL,
+      env,
+      stdout: (text) => qpyodideWriteOutput("stdout", text),
+      stderr: (text) => qpyodideWriteOutput("stderr", text)
+    });
+
+    // Allow the main thread to interrupt running code when memory is shared
+    if (interruptBuffer) {
+      qpyodideInterruptBuffer = interruptBuffer;
+      pyodide.setInterruptBuffer(qpyodideInterruptBuffer);
+    }
+
+    // Add matplotlib and install the helper module
+    await pyodide.loadPackage("matplotlib");
+    pyodide.FS.mkdirTree("/qpyodide");
+    pyodide.FS.writeFile("/qpyodide/_qpyodide.py", qpyodideHelperModule);
+    pyodide.runPython(`
+    import sys
+    sys.path.append("/qpyodide")
+    import _qpyodide
+    `);
+    qpyodideHelpers = pyodide.pyimport("_qpyodide");
+  },
+
+  async loadPackage({ names }) {
+    await pyodide.loadPackage(names);
+  },
+
+  async installPackage({ name }) {
+    // micropip resolves Pyodide builtins from the lock file and
+    // falls back to pure Python wheels from PyPI for everything else
+    await pyodide.loadPackage("micropip");
+    const micropip = pyodide.pyimport("micropip");
+    try {
+      await micropip.install(name);
+    } finally {
+      micropip.destroy();
+    }
+  },
+
+  async loadPackagesFromImports({ code }) {
+    await pyodide.loadPackagesFromImports(code);
+  },
+
+  async runPython({ code, options = {} }) {
+    // Discard any interrupt requested while nothing was running
+    if (qpyodideInterruptBuffer) {
+      qpyodideInterruptBuffer[0] = 0;
+    }
+
+    // Apply the figure options of the cell
+    const {
+      cellId = "default", figWidth = 6, figHeight = 4, dpi = 100, pixelRatio = 1, firstLine = 1,
+      wholeCell = true
+    } = options;
+    qpyodideHelpers.begin_run(cellId, figWidth, figHeight, dpi, pixelRatio, wholeCell);
+
+    // Tells the frames of this run apart from functions defined by earlier runs
+    const filename = `<cell-${cellId}-run-${++qpyodideRunCounter}>`;
+
+    let output;
+    let error;
+    try {
+      const value = await pyodide.runPythonAsync(code, { filename });
+      if (value instanceof pyodide.ffi.PyProxy && qpyodideHelpers.display_result(value)) {
+        // Shown with its richest representation instead of as text
+        value.destroy();
+      } else {
+        output = qpyodideToClonable(value);
+      }
+    } catch (err) {
+      const detailsProxy = qpyodideHelpers.clean_traceback(err.message, code, filename, firstLine);
+      const details = detailsProxy.toJs({ dict_converter: Object.fromEntries });
+      detailsProxy.destroy();
+      error = {
+        type: err.type ?? err.name,
+        message: err.message,
+        traceback: details.traceback.join("\n"),
+        line: details.line
+      };
+    }
+
+    return {
+      output,
+      error,
+      figures: qpyodideTakeFigures(),
+      displays: qpyodideHelperResult(qpyodideHelpers.take_displays())
+    };
+  },
+
+  async runChecks({ code }) {
+    const resultsProxy = qpyodideHelpers.run_checks(code);
+    const results = resultsProxy.toJs({ dict_converter: Object.fromEntries });
+    resultsProxy.destroy();
+    return results;
+  },
+
+  async exportFigure({ figureId, format, dpi }) {
+    return qpyodideHelpers.export_figure(figureId, format, dpi);
+  },
+
+  async reviewCode({ code }) {
+    await qpyodideLoadLinters();
+
+    const reviewProxy = qpyodideHelpers.review_code(code);
+    const review = reviewProxy.toJs({ dict_converter: Object.fromEntries });
+    reviewProxy.destroy();
+    return review;
+  },
+
+  async complete({ code, line, column }) {
+    await qpyodideLoadJedi();
+    return qpyodideHelperResult(qpyodideHelpers.complete(code, line, column));
+  },
+
+  async describeCompletion({ code, line, column, name }) {
+    await qpyodideLoadJedi();
+    return qpyodideHelperResult(qpyodideHelpers.describe_completion(code, line, column, name));
+  },
+
+  async signatureHelp({ code, line, column }) {
+    await qpyodideLoadJedi();
+    return qpyodideHelperResult(qpyodideHelpers.signature_help(code, line, column));
+  },
+
+  async lintCode({ code }) {
+    await qpyodideLoadLinters();
+
+    const diagnosticsProxy = qpyodideHelpers.lint_code(code);
+    const diagnostics = diagnosticsProxy.toJs({ dict_converter: Object.fromEntries });
+    diagnosticsProxy.destroy();
+    return diagnostics;
+  }
+};
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+
+  try {
+    const result = await qpyodideHandlers[type](payload);
+    // Printed text reaches the main thread before the answer
+    qpyodideFlushOutput();
+    qpyodideReply(id, "result", result);
+  } catch (err) {
+    qpyodideFlushOutput();
+    qpyodideReply(id, "error", { type: err.type ?? err.name, message: err.message });
+  }
+};
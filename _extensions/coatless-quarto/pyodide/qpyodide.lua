@@ -29,6 +29,26 @@ local showStartUpMessage = "true"
 
 -- Define an empty string if no packages need to be installed.
 local installPythonPackagesList = "''"
+
+-- Define the AI feedback service. Feedback is off unless a document enables it.
+local feedbackOptions = {
+  enabled = false,
+  provider = "openai",
+  endpoint = "",
+  model = "",
+  askApiKey = true,
+  stream = true,
+  language = "",
+  prompt = "",
+  systemPrompt = ""
+}
+
+-- Endpoints used when a document only names the provider
+local defaultFeedbackEndpoints = {
+  ["openai"] = "https://api.groq.com/openai/v1",
+  ["proxy"] = "http://127.0.0.1:5000/api/feedback",
+  ["offline"] = ""
+}
 ----
 
 --- Setup variables for tracking number of code cells
@@ -39,6 +59,25 @@ local qPyodideCounter = 0
 -- Initialize a table to store the CodeBlock elements
 local qPyodideCapturedCodeBlocks = {}
 
+-- Store the Markdown that follows the last code cell
+local qPyodideTrailingMarkdown = ""
+
+-- Initialize a table to store hidden cells that belong to a labelled cell, e.g.
+--
+-- ```{pyodide-python}
+-- #| context: check
+-- #| exercise: oppgave-1
+-- assert svar == 42, "svar should be 42"
+-- ```
+local qPyodideCompanionCells = {}
+
+-- Contexts of cells that are attached to an exercise instead of being shown
+local qPyodideCompanionContexts = {
+  ["check"] = true,
+  ["hint"] = true,
+  ["solution"] = true
+}
+
 -- Initialize a table that contains the default cell-level options
 local qPyodideDefaultCellOptions = {
   ["context"] = "interactive",
@@ -49,13 +88,16 @@ local qPyodideDefaultCellOptions = {
   ["output"] = "true",
   ["comment"] = "",
   ["label"] = "",
+  ["exercise"] = "",
+  ["feedback-prompt"] = "",
+  ["feedback-language"] = "",
   ["autorun"] = "",
   ["classes"] = "",
-  ["dpi"] = 72,
+  ["dpi"] = 100,
   ["fig-cap"] = "",
-  ["fig-width"] = 7,
-  ["fig-height"] = 5,
-  ["out-width"] = "700px",
+  ["fig-width"] = 6,
+  ["fig-height"] = 4,
+  ["out-width"] = "",
   ["out-height"] = ""
 }
 
@@ -102,7 +144,9 @@ local function mergeCellOptions(localOptions)
   -- Override default options with local options
   for key, value in pairs(localOptions) do
     if type(value) == "string" then
-      value = value:gsub("[\"']", "")
+      -- Drop one pair of quotes around the whole value, keeping apostrophes
+      -- and quotes inside it, e.g. `Explain the student's error`
+      value = value:match('^"(.*)"$') or value:match("^'(.*)'$") or value
     end
     mergedOptions[key] = value
   end
@@ -111,6 +155,101 @@ local function mergeCellOptions(localOptions)
   return mergedOptions
 end
 
+-- Convert a metadata value to plain text, keeping its line breaks
+local function blocksToPlainText(value)
+  if pandoc.utils.type(value) == "Blocks" then
+    return (pandoc.write(pandoc.Pandoc(value), "plain", { wrap_text = "preserve" }):gsub("%s+$", ""))
+  end
+  return pandoc.utils.stringify(value)
+end
+
+-- Check if a metadata value is set to true
+local function isMetaTrue(value)
+  if type(value) == "boolean" then
+    return value
+  end
+  return pandoc.utils.stringify(value) == "true"
+end
+
+-- Parse the `feedback` block of the Pyodide options, e.g.
+--
+-- ```yaml
+-- pyodide:
+--   feedback:
+--     enabled: true
+--     provider: openai                        # or `proxy` or `offline`
+--     endpoint: http://localhost:11434/v1     # e.g. a local model server
+--     model: llama3.1                         # required for `openai`
+--     ask-api-key: false
+--     stream: true                            # show the answer while it is written
+--     language: norsk
+--     system-prompt: Du er en hjelpsom veileder i matematikk og Python.
+--     prompt: |
+--       Oppgave: {exercise}
+--       Kode: {code}
+--       Utskrift: {output}
+-- ```
+--
+-- Prompts may use the placeholders {code}, {output}, {exercise}, and {language}.
+-- Cells can override them with `#| feedback-prompt:` and `#| feedback-language:`.
+local function setFeedbackOptions(feedback)
+  if isVariablePopulated(feedback["enabled"]) then
+    feedbackOptions.enabled = isMetaTrue(feedback["enabled"])
+  end
+
+  if isVariablePopulated(feedback["provider"]) then
+    feedbackOptions.provider = pandoc.utils.stringify(feedback["provider"])
+  end
+
+  if not defaultFeedbackEndpoints[feedbackOptions.provider] then
+    quarto.log.warning("Unknown feedback provider `" .. feedbackOptions.provider ..
+                       "`. Use `openai`, `proxy`, or `offline`. Feedback is disabled.")
+    feedbackOptions.enabled = false
+    return
+  end
+
+  if isVariablePopulated(feedback["endpoint"]) then
+    feedbackOptions.endpoint = pandoc.utils.stringify(feedback["endpoint"])
+  else
+    feedbackOptions.endpoint = defaultFeedbackEndpoints[feedbackOptions.provider]
+  end
+
+  if isVariablePopulated(feedback["model"]) then
+    feedbackOptions.model = pandoc.utils.stringify(feedback["model"])
+  elseif feedbackOptions.provider == "openai" and feedbackOptions.enabled then
+    quarto.log.warning("Feedback with provider `openai` needs a `model`, e.g. " ..
+                       "`model: llama-3.3-70b-versatile`. Requests fail until one is set.")
+  end
+
+  -- A proxy keeps the credentials on the server and the offline review needs
+  -- none, so students only enter a key for OpenAI-compatible services
+  if isVariablePopulated(feedback["ask-api-key"]) then
+    feedbackOptions.askApiKey = isMetaTrue(feedback["ask-api-key"])
+  else
+    feedbackOptions.askApiKey = feedbackOptions.provider == "openai"
+  end
+
+  -- Prompt templates and the language of the answers
+  if isVariablePopulated(feedback["language"]) then
+    feedbackOptions.language = pandoc.utils.stringify(feedback["language"])
+  end
+
+  if isVariablePopulated(feedback["prompt"]) then
+    feedbackOptions.prompt = blocksToPlainText(feedback["prompt"])
+  end
+
+  if isVariablePopulated(feedback["system-prompt"]) then
+    feedbackOptions.systemPrompt = blocksToPlainText(feedback["system-prompt"])
+  end
+
+  -- Proxies such as the Flask backend answer with a single JSON document
+  if isVariablePopulated(feedback["stream"]) then
+    feedbackOptions.stream = isMetaTrue(feedback["stream"])
+  else
+    feedbackOptions.stream = feedbackOptions.provider ~= "proxy"
+  end
+end
+
 -- Parse the different Pyodide options set in the YAML frontmatter, e.g.
 --
 -- ```yaml
@@ -119,6 +258,8 @@ end
 --   base-url: https://cdn.jsdelivr.net/pyodide/[version]
 --   build-variant: full
 --   packages: ['matplotlib', 'pandas']
+--   feedback:
+--     enabled: true
 -- ----
 -- ```
 --
@@ -172,6 +313,11 @@ function setPyodideInitializationOptions(meta)
 
     installPythonPackagesList = table.concat(package_list, ", ")
   end
+
+  -- Configure the AI feedback service
+  if isVariablePopulated(pyodide["feedback"]) then
+    setFeedbackOptions(pyodide["feedback"])
+  end
   
   return meta
 end
@@ -231,6 +377,8 @@ function initializationPyodide()
     ["SHOWSTARTUPMESSAGE"] = showStartUpMessage, 
     ["INSTALLPYTHONPACKAGESLIST"] = installPythonPackagesList,
     ["QPYODIDECELLDETAILS"] = quarto.json.encode(qPyodideCapturedCodeBlocks),
+    ["QPYODIDETRAILINGMARKDOWN"] = quarto.json.encode(qPyodideTrailingMarkdown),
+    ["FEEDBACKOPTIONS"] = quarto.json.encode(feedbackOptions),
   }
   
   -- Make sure we perform a copy
@@ -247,7 +395,8 @@ local function generateHTMLElement(tag)
   local tagMappings = {
       module = { opening = "<script type=\"module\">\n", closing = "\n</script>" },
       js = { opening = "<script type=\"text/javascript\">\n", closing = "\n</script>" },
-      css = { opening = "<style type=\"text/css\">\n", closing = "\n</style>" }
+      css = { opening = "<style type=\"text/css\">\n", closing = "\n</style>" },
+      worker = { opening = "<script type=\"text/js-worker\" id=\"qpyodide-worker-script\">\n", closing = "\n</script>" }
   }
 
   -- Find the tag
@@ -311,15 +460,35 @@ function ensurePyodideSetup()
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css" integrity="sha512-DTOQO9RWCH3ppGqcWaEA1BIZOC6xxalwEsw9c2QQeAIftl+Vegovlnee1c9QX4TctnWMn13TZye+giMm8e2LwA==" crossorigin="anonymous" referrerpolicy="no-referrer" />
   ]])
 
+  -- Markdown parsing and HTML sanitizing for the AI feedback
+  if feedbackOptions.enabled then
+    quarto.doc.include_text("in-header", [[
+  <script src="https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js" integrity="sha384-/TQbtLCAerC3jgaim+N78RZSDYV7ryeoBCVqTuzRrFec2akfBkHS7ACQ3PQhvMVi" crossorigin="anonymous" referrerpolicy="no-referrer"></script>
+  <script src="https://cdn.jsdelivr.net/npm/dompurify@3.1.6/dist/purify.min.js" integrity="sha384-+VfUPEb0PdtChMwmBcBmykRMDd+v6D/oFmB3rZM/puCMDYcIvF968OimRh4KQY9a" crossorigin="anonymous" referrerpolicy="no-referrer"></script>
+  ]])
+  end
+
   -- Insert CSS styling and external style sheets
   includeFileInHTMLTag("in-header", "qpyodide-styling.css", "css")
 
   -- Insert the Pyodide initialization routine
   includeTextInHTMLTag("in-header", initializedConfigurationPyodide, "module")
 
+  -- Insert JS routine to request AI feedback
+  includeFileInHTMLTag("in-header", "qpyodide-document-feedback.js", "module")
+
   -- Insert JS routine to add document status header
   includeFileInHTMLTag("in-header", "qpyodide-document-status.js", "module")
 
+  -- Insert JS routine to download the page as a script or notebook
+  includeFileInHTMLTag("in-header", "qpyodide-document-export.js", "module")
+
+  -- Insert JS routine to record the course progress of the student
+  includeFileInHTMLTag("in-header", "qpyodide-document-progress.js", "module")
+
+  -- Insert the worker source that hosts the Python interpreter
+  includeFileInHTMLTag("in-header", "qpyodide-worker.js", "worker")
+
   -- Insert JS routine to bring Pyodide online
   includeFileInHTMLTag("in-header", "qpyodide-document-engine-initialization.js", "module")
 
@@ -421,6 +590,16 @@ function enablePyodideCodeCell(el)
   -- Convert webr-specific option commands into attributes
   cellCode, cellOptions = extractCodeBlockOptions(el)
 
+  -- Hidden cells belonging to an exercise are attached to it later on
+  if qPyodideCompanionContexts[cellOptions["context"]] then
+    table.insert(qPyodideCompanionCells, {
+      context = cellOptions["context"],
+      exercise = cellOptions["exercise"],
+      code = cellCode
+    })
+    return {}
+  end
+
   -- Modify the counter variable each time this is run to create
   -- unique code cells
   qPyodideCounter = qPyodideCounter + 1
@@ -429,7 +608,8 @@ function enablePyodideCodeCell(el)
   local codeBlockData = {
     id = qPyodideCounter,
     code = cellCode,
-    options = cellOptions
+    options = cellOptions,
+    markdown = ""
   }
 
   -- Store the CodeDiv in the global table
@@ -439,6 +619,90 @@ function enablePyodideCodeCell(el)
   return pandoc.RawInline('html', qPyodideJSCellInsertionCode(qPyodideCounter))
 end
 
+-- Attach the hidden check, hint, and solution cells to the cell with the matching label
+local function attachCompanionCells()
+  for _, companion in ipairs(qPyodideCompanionCells) do
+    local target = nil
+    for _, codeBlockData in ipairs(qPyodideCapturedCodeBlocks) do
+      if isVariablePopulated(companion.exercise) and codeBlockData.options["label"] == companion.exercise then
+        target = codeBlockData
+      end
+    end
+
+    if target == nil then
+      quarto.log.warning("No cell with `label: " .. companion.exercise ..
+                         "` was found for a `context: " .. companion.context .. "` cell.")
+    elseif companion.context == "check" then
+      -- Several check cells run one after another
+      if isVariablePopulated(target.check) then
+        target.check = target.check .. "\n" .. companion.code
+      else
+        target.check = companion.code
+      end
+    elseif companion.context == "hint" then
+      -- Hints are revealed in the order they appear in the document
+      target.hints = target.hints or {}
+      table.insert(target.hints, companion.code)
+    elseif companion.context == "solution" then
+      target.solution = companion.code
+    end
+  end
+end
+
+-- Find the ids of the code cells whose insertion points sit inside a block
+local function findInsertionIds(block)
+  local ids = {}
+  local function collectIds(el)
+    for id in el.text:gmatch("qpyodide%-insertion%-location%-(%d+)") do
+      table.insert(ids, tonumber(id))
+    end
+  end
+  block:walk({ RawInline = collectIds, RawBlock = collectIds })
+  return ids
+end
+
+-- Convert a list of blocks into Markdown text
+local function blocksToMarkdown(blocks)
+  if #blocks == 0 then
+    return ""
+  end
+  return pandoc.write(pandoc.Pandoc(blocks), "markdown")
+end
+
+-- Record the Markdown written before each code cell, so that the page can
+-- be exported as a notebook with its prose intact.
+local function captureSurroundingMarkdown(doc)
+  local pendingBlocks = {}
+
+  -- Start the first Markdown cell with the document title
+  if isVariablePopulated(doc.meta.title) then
+    table.insert(pendingBlocks, pandoc.Header(1, doc.meta.title))
+  end
+
+  -- Walk the blocks in document order, descending into Divs such as a
+  -- panel-tabset, so each cell receives the prose written just before it
+  local function visitBlocks(blocks)
+    for _, block in ipairs(blocks) do
+      local ids = findInsertionIds(block)
+      if #ids == 0 then
+        table.insert(pendingBlocks, block)
+      elseif block.t == "Div" or block.t == "BlockQuote" then
+        visitBlocks(block.content)
+      else
+        -- Cells sharing a block follow each other without prose in between
+        for index, id in ipairs(ids) do
+          qPyodideCapturedCodeBlocks[id].markdown = index == 1 and blocksToMarkdown(pendingBlocks) or ""
+        end
+        pendingBlocks = {}
+      end
+    end
+  end
+
+  visitBlocks(doc.blocks)
+
+  qPyodideTrailingMarkdown = blocksToMarkdown(pendingBlocks)
+end
+
 local function stitchDocument(doc)
 
   -- Do not attach webR as the page lacks any active webR cells
@@ -446,6 +710,12 @@ local function stitchDocument(doc)
     return doc
   end
 
+  -- Give exercises their hidden checks
+  attachCompanionCells()
+
+  -- Keep the prose around each cell for notebook exports
+  captureSurroundingMarkdown(doc)
+
   -- Release injections into the HTML document after each cell
   -- is visited and we have collected all the content.
   ensurePyodideSetup()